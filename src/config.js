@@ -3,7 +3,6 @@
 export const VISUALIZATION_CONFIG = {
     fontSize: 9,
     lineHeight: 11,
-    charWidth: 5.4,
     padding: 20,
     columnGap: {
         singleBook: 20,
@@ -25,12 +24,41 @@ export const VISUALIZATION_CONFIG = {
         multiBook: 8
     },
     maxTextResolution: 3,
+    textRenderer: 'bitmap',
+    bitmapFontResolution: 6,
     minVisibleZoom: 0.02,
     scrollPadding: 50,
     batchSize: 500,
     wordSplitRegex: /\s+/
 };
 
+export const FONT_CONFIG = {
+    families: {
+        monospace: { label: 'Monospace', fontFamily: 'monospace' },
+        serif: { label: 'Serif', fontFamily: 'Georgia, "Times New Roman", serif' },
+        sans: { label: 'Sans-serif', fontFamily: 'Helvetica, Arial, sans-serif' }
+    },
+    defaultFamily: 'monospace',
+    sizes: [7, 9, 11, 13],
+    defaultSize: 9,
+    widthSample: 'the quick brown fox jumps over the lazy dog',
+    offsetCacheSize: 4096
+};
+
+export const LAYOUT_CONFIG = {
+    lineWidths: [60, 90, 120, 180, 240],
+    columnCounts: [1, 2, 4, 8, 16, 32],
+    maxFitColumns: 64
+};
+
+export const TEXT_BENCHMARK_CONFIG = {
+    renderers: ['canvas', 'bitmap'],
+    frames: 300,
+    warmupFrames: 20,
+    zoomRange: { min: 0.5, max: 2 },
+    jankThreshold: 25
+};
+
 export const ZOOM_CONFIG = {
     min: 0.01,
     max: 10,
@@ -40,6 +68,46 @@ export const ZOOM_CONFIG = {
     clickZoomMax: 3.0
 };
 
+export const GESTURE_CONFIG = {
+    pinchWheelSensitivity: 0.01,
+    doubleTapDelay: 300,
+    doubleTapDistance: 25,
+    tapMoveTolerance: 8,
+    velocitySampleWindow: 100,
+    momentumFriction: 0.92,
+    momentumMinSpeed: 0.02
+};
+
+export const KEYBOARD_CONFIG = {
+    panStep: 80,
+    pagePanFraction: 0.9
+};
+
+export const CAMERA_CONFIG = {
+    duration: 450,
+    flyDuration: 1100,
+    flyDistanceScreens: 1.5,
+    flyZoomMargin: 1.2
+};
+
+export const MINIMAP_CONFIG = {
+    width: 180,
+    maxHeight: 260,
+    bandOpacity: 0.55,
+    backgroundColor: '#111',
+    viewportColor: '#ffffff',
+    matchTickColor: '#ffeb3b',
+    minTickOpacity: 0.35
+};
+
+export const INSPECTOR_CONFIG = {
+    tooltipOffset: 14,
+    neighborCount: 1,
+    crossRefMinScore: 0.25,
+    crossRefLimit: 10,
+    copyFeedbackDuration: 1500
+};
+
 export const HIGHLIGHT_CONFIG = {
     normal: {
         fillColor: 0xffeb3b,
@@ -55,9 +123,73 @@ export const HIGHLIGHT_CONFIG = {
         borderWidth: 3,
         padding: 2,
         zoomThreshold: 0.2
+    },
+    layers: {
+        colors: [0x4fc3f7, 0xef5350, 0x66bb6a, 0xab47bc, 0xffa726, 0x26a69a],
+        fillOpacity: 0.7,
+        minScreenSize: 2
     }
 };
 
+export const SEMANTIC_HIGHLIGHT_CONFIG = {
+    ramps: {
+        heat: [0x5c6bc0, 0x26a69a, 0xffeb3b, 0xff7043],
+        viridis: [0x440154, 0x3b528b, 0x21918c, 0x5ec962, 0xfde725],
+        yellow: [0x6d5f1a, 0xffeb3b]
+    },
+    defaultRamp: 'heat',
+    minOpacity: 0.25,
+    maxOpacity: 0.9,
+    absoluteRange: { min: 0.2, max: 0.7 }
+};
+
+export const SEARCH_INDEX_CONFIG = {
+    bm25: {
+        k1: 1.2,
+        b: 0.75
+    },
+    stopwords: [
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'for', 'from',
+        'had', 'hath', 'have', 'he', 'her', 'him', 'his', 'i', 'in', 'is', 'it', 'me', 'my',
+        'not', 'now', 'of', 'on', 'or', 'our', 'shall', 'she', 'so', 'that', 'the', 'thee',
+        'their', 'them', 'they', 'this', 'thou', 'thy', 'to', 'unto', 'upon', 'us', 'was',
+        'we', 'were', 'which', 'who', 'will', 'with', 'ye', 'yea', 'you'
+    ],
+    maxPrefixExpansions: 50,
+    completionLimit: 8,
+    cacheSize: 32
+};
+
+export const HYBRID_CONFIG = {
+    rrfK: 60,
+    maxResults: 200
+};
+
+export const HEATMAP_CONFIG = {
+    autoZoomThreshold: 0.1,
+    ramp: [0x2c7bb6, 0x00a6ca, 0x90eb9d, 0xf9d057, 0xf29e2e, 0xd7191c],
+    opacity: 0.55
+};
+
+export const SELECTION_CONFIG = {
+    fillColor: 0x4a90e2,
+    fillOpacity: 0.4
+};
+
+export const ANNOTATION_CONFIG = {
+    colors: [0xffd54f, 0x81c784, 0x64b5f6, 0xf06292, 0xba68c8],
+    highlightOpacity: 0.35,
+    bookmarkColor: 0xffc107,
+    bookmarkWidth: 3,
+    noteColor: 0x80cbc4,
+    markerGap: 3
+};
+
+export const SAVED_SEARCH_CONFIG = {
+    historyLimit: 20,
+    historyDelay: 1200
+};
+
 export const BOOK_BACKGROUND_OPACITY = {
     veryZoomedOut: 0.35,
     zoomedOut: 0.25,
@@ -65,3 +197,15 @@ export const BOOK_BACKGROUND_OPACITY = {
     veryZoomedOutThreshold: 0.1,
     zoomedOutThreshold: 0.3
 };
+
+export const TEXT_LOD_CONFIG = {
+    greekedZoomThreshold: 0.2,
+    textZoomThreshold: 0.5,
+    greekedColor: 0xffffff,
+    greekedOpacity: 0.35,
+    greekedHeightRatio: 0.45,
+    tileLines: 100,
+    maxTileScale: 1,
+    maxCachedTiles: 64,
+    tileRendersPerFrame: 4
+};
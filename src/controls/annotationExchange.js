@@ -0,0 +1,131 @@
+import { getFullVerseMeta } from '../loadText.js';
+import { buildExport, exportToCsv, parseImport, resolveAnnotationReferences } from '../utils/annotationFormat.js';
+import { escapeHtml } from '../utils/html.js';
+
+const MAX_REPORTED_ITEMS = 20;
+
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function formatList(items) {
+    const shown = items.slice(0, MAX_REPORTED_ITEMS).map((item) => `<li>${escapeHtml(item)}</li>`);
+    if (items.length > MAX_REPORTED_ITEMS) {
+        shown.push(`<li>…and ${items.length - MAX_REPORTED_ITEMS} more</li>`);
+    }
+    return `<ul>${shown.join('')}</ul>`;
+}
+
+/**
+ * Export and import of annotations and searches as JSON or CSV.
+ * Searches are provided and applied through callbacks so the caller decides
+ * which searches travel with the file.
+ */
+export class AnnotationExchange {
+    /**
+     * @param {Object} options
+     * @param {AnnotationStore} options.annotationStore
+     * @param {Function} options.getSearches - () => search records to export
+     * @param {Function} options.importSearches - (searches, { replace }) => number of searches imported
+     */
+    constructor({ annotationStore, getSearches, importSearches }) {
+        this.annotationStore = annotationStore;
+        this.getSearches = getSearches;
+        this.importSearches = importSearches;
+        this.exportJsonBtn = document.getElementById('annotations-export-json');
+        this.exportCsvBtn = document.getElementById('annotations-export-csv');
+        this.importBtn = document.getElementById('annotations-import');
+        this.importMode = document.getElementById('annotations-import-mode');
+        this.fileInput = document.getElementById('annotations-import-file');
+        this.report = document.getElementById('annotations-import-report');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.exportJsonBtn.addEventListener('click', () => this.exportFile('json'));
+        this.exportCsvBtn.addEventListener('click', () => this.exportFile('csv'));
+        this.importBtn.addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            // Reset so choosing the same file again still fires 'change'
+            this.fileInput.value = '';
+            if (file) {
+                await this.importFile(file);
+            }
+        });
+    }
+
+    exportFile(type) {
+        const data = buildExport(this.annotationStore.getAll(), this.getSearches());
+        const date = data.exportedAt.slice(0, 10);
+        if (type === 'csv') {
+            downloadFile(`bom-annotations-${date}.csv`, exportToCsv(data), 'text/csv');
+        } else {
+            downloadFile(`bom-annotations-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+        }
+    }
+
+    async importFile(file) {
+        const replace = this.importMode.value === 'replace';
+        if (replace && !window.confirm('Replace all existing annotations and saved searches with the contents of this file?')) {
+            return;
+        }
+
+        this.showReport('<p>Importing…</p>');
+
+        try {
+            await this.runImport(file, replace);
+        } catch (error) {
+            // Coded errors explain themselves; anything else is unexpected
+            const isExpected = error?.code === 'invalid-import' || error?.code === 'text-unavailable';
+            if (!isExpected) {
+                console.error('Annotation import failed:', error);
+            }
+            const message = isExpected ? error.message : `Import failed: ${error?.message || error}`;
+            this.showReport(`<p class="import-error">${escapeHtml(message)}</p>`);
+        }
+    }
+
+    async runImport(file, replace) {
+        const parsed = parseImport(await file.text());
+
+        // Check references against the whole text, not just the currently filtered book.
+        // Without it every reference would look unknown, and a replace would only delete.
+        const verseMeta = getFullVerseMeta();
+        if (!verseMeta) {
+            const error = new Error('The text is not loaded, so references cannot be checked. Nothing was imported.');
+            error.code = 'text-unavailable';
+            throw error;
+        }
+        const { resolved, unresolved } = resolveAnnotationReferences(parsed.annotations, verseMeta);
+
+        await this.annotationStore.importAnnotations(resolved, { replace });
+        const searchCount = this.importSearches(parsed.searches, { replace });
+
+        const sections = [
+            `<p>Imported ${resolved.length} annotation${resolved.length !== 1 ? 's' : ''} and ${searchCount} search${searchCount !== 1 ? 'es' : ''} (${replace ? 'replaced' : 'merged'}).</p>`
+        ];
+        if (unresolved.length > 0) {
+            sections.push(`<p class="import-warning">${unresolved.length} reference${unresolved.length !== 1 ? 's' : ''} not found in the text and skipped:</p>`);
+            sections.push(formatList(unresolved.map((annotation) => annotation.reference)));
+        }
+        if (parsed.errors.length > 0) {
+            sections.push(`<p class="import-warning">${parsed.errors.length} invalid entr${parsed.errors.length !== 1 ? 'ies' : 'y'} skipped:</p>`);
+            sections.push(formatList(parsed.errors.map(({ entry, message }) => `${entry}: ${message}`)));
+        }
+        this.showReport(sections.join(''));
+    }
+
+    showReport(html) {
+        this.report.innerHTML = html;
+        this.report.style.display = 'block';
+    }
+}
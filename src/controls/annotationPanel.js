@@ -0,0 +1,86 @@
+import { escapeHtml, toCssColor } from '../utils/html.js';
+
+const FILTERS = {
+    all: () => true,
+    highlights: (annotation) => annotation.color !== null,
+    bookmarks: (annotation) => annotation.bookmarked,
+    notes: (annotation) => Boolean(annotation.note)
+};
+
+/**
+ * Sidebar list of personal annotations; clicking one jumps to its verse.
+ * Annotations for verses outside the loaded book are listed but disabled.
+ */
+export class AnnotationPanel {
+    constructor(annotationStore, visualization, onSelect = null) {
+        this.annotationStore = annotationStore;
+        this.visualization = visualization;
+        this.onSelect = onSelect;
+        this.panel = document.getElementById('annotations-panel');
+        this.toggleButton = document.getElementById('annotations-toggle');
+        this.body = document.getElementById('annotations-body');
+        this.filterSelect = document.getElementById('annotations-filter');
+        this.list = document.getElementById('annotations-list');
+        this.expanded = false;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => {
+            this.expanded = !this.expanded;
+            this.render();
+        });
+
+        this.filterSelect.addEventListener('change', () => this.render());
+
+        this.list.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-reference]');
+            if (!target || !this.visualization) return;
+            const verseIndex = this.visualization.getVerseIndexForReference(target.getAttribute('data-reference'));
+            if (verseIndex < 0) return;
+            this.visualization.jumpToVerse(verseIndex);
+            if (this.onSelect) {
+                this.onSelect(verseIndex);
+            }
+        });
+
+        window.addEventListener('annotations-changed', () => this.render());
+    }
+
+    render() {
+        const annotations = this.annotationStore.getAll();
+        this.toggleButton.textContent = `${this.expanded ? '▾' : '▸'} Annotations (${annotations.length})`;
+        this.body.style.display = this.expanded ? 'block' : 'none';
+        if (!this.expanded) return;
+
+        const filter = FILTERS[this.filterSelect.value] || FILTERS.all;
+        const visible = annotations.filter(filter);
+        if (visible.length === 0) {
+            this.list.innerHTML = `<div class="annotations-empty">${annotations.length === 0
+                ? 'Click a verse to highlight, bookmark or add a note.'
+                : 'No annotations of this kind.'}</div>`;
+            return;
+        }
+
+        this.list.innerHTML = visible.map((annotation) => {
+            const isLoaded = this.visualization?.getVerseIndexForReference(annotation.reference) >= 0;
+            const swatch = annotation.color !== null
+                ? `<span class="annotation-item-color" style="background: ${toCssColor(annotation.color)};"></span>`
+                : '';
+            const bookmark = annotation.bookmarked ? '<span class="annotation-item-bookmark" title="Bookmarked">★</span>' : '';
+            const note = annotation.note ? `<div class="annotation-item-note">${escapeHtml(annotation.note)}</div>` : '';
+            return `
+                <div class="annotation-item${isLoaded ? '' : ' unavailable'}" data-reference="${escapeHtml(annotation.reference)}"${isLoaded ? '' : ' title="Not in the current book filter"'}>
+                    <div class="annotation-item-header">${swatch}<span class="annotation-item-ref">${escapeHtml(annotation.reference)}</span>${bookmark}</div>
+                    ${note}
+                </div>
+            `;
+        }).join('');
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.render();
+    }
+}
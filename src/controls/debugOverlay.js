@@ -0,0 +1,79 @@
+/**
+ * Debug panel showing what the last render drew: the text level of detail,
+ * sprite and tile counts, and which columns and lines were culled. Each
+ * column is drawn as a box, dimmed when culled, with a band marking the
+ * rendered line range. Toggled with the ` key.
+ */
+export class DebugOverlay {
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.container = document.getElementById('debug-overlay');
+        this.columns = document.getElementById('debug-overlay-columns');
+        this.stats = document.getElementById('debug-overlay-stats');
+        this.enabled = false;
+        this.frame = null;
+
+        // View changes fire on every rendered frame; redraw at most once per animation frame
+        window.addEventListener('visualization-view-changed', () => this.scheduleUpdate());
+    }
+
+    toggle() {
+        this.enabled = !this.enabled;
+        this.container.style.display = this.enabled ? 'block' : 'none';
+        if (this.enabled) {
+            this.update();
+        }
+    }
+
+    scheduleUpdate() {
+        if (!this.enabled || this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    update() {
+        const stats = this.visualization?.getRenderStats();
+        if (!stats) {
+            this.columns.innerHTML = '';
+            this.stats.textContent = 'No text loaded';
+            return;
+        }
+
+        const { lines, columns } = stats;
+        const bandTop = (lines.start / Math.max(1, lines.total)) * 100;
+        const bandHeight = ((Math.min(lines.end, lines.total) - lines.start) / Math.max(1, lines.total)) * 100;
+        const boxes = [];
+        for (let col = 0; col < columns.total; col++) {
+            const rendered = col >= columns.start && col < columns.end;
+            boxes.push(`
+                <div class="debug-column${rendered ? ' rendered' : ''}" title="Column ${col + 1}${rendered ? '' : ' (culled)'}">
+                    ${rendered ? `<div class="debug-column-band" style="top: ${bandTop}%; height: ${Math.max(1, bandHeight)}%;"></div>` : ''}
+                </div>
+            `);
+        }
+        this.columns.innerHTML = boxes.join('');
+
+        const culledColumns = columns.total - (columns.end - columns.start);
+        const textLine = stats.level === 'text'
+            ? `Text sprites ${stats.text.sprites} (${stats.text.pooled} pooled)`
+            : stats.level === 'tiles'
+                ? `Tiles ${stats.lod.visibleTiles} shown, ${stats.lod.cachedTiles} cached; ${stats.lod.greekedLines} lines greeked`
+                : `Greeked lines ${stats.lod.greekedLines}`;
+        this.stats.innerHTML = [
+            `Zoom ${(stats.zoom * 100).toFixed(1)}% · ${stats.level} (${stats.textRenderer})`,
+            `Lines ${lines.start + 1}–${Math.min(lines.end, lines.total)} of ${lines.total}`,
+            `Columns ${columns.start + 1}–${columns.end} of ${columns.total} (${culledColumns} culled)`,
+            textLine,
+            `Book bands ${stats.backgrounds.regions} · Highlights ${stats.highlights.highlights}`
+        ].map((line) => `<div>${line}</div>`).join('');
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        if (this.enabled) {
+            this.update();
+        }
+    }
+}
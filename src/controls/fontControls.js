@@ -0,0 +1,66 @@
+import { FONT_CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'bom-visualizer-font';
+
+/**
+ * Font family and size pickers. The choice is remembered in localStorage;
+ * changing it re-wraps the text, so onFontChange is expected to rebuild the
+ * visualization.
+ */
+export class FontControls {
+    constructor(onFontChange) {
+        this.familySelect = document.getElementById('font-family');
+        this.sizeSelect = document.getElementById('font-size');
+        this.onFontChange = onFontChange;
+
+        this.familySelect.innerHTML = Object.entries(FONT_CONFIG.families)
+            .map(([key, family]) => `<option value="${key}">${family.label}</option>`)
+            .join('');
+        this.sizeSelect.innerHTML = FONT_CONFIG.sizes
+            .map((size) => `<option value="${size}">${size}px</option>`)
+            .join('');
+
+        this.font = this.load();
+        this.familySelect.value = this.font.family;
+        this.sizeSelect.value = String(this.font.size);
+
+        this.familySelect.addEventListener('change', () => this.apply());
+        this.sizeSelect.addEventListener('change', () => this.apply());
+    }
+
+    load() {
+        const font = { family: FONT_CONFIG.defaultFamily, size: FONT_CONFIG.defaultSize };
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && FONT_CONFIG.families[stored.family]) font.family = stored.family;
+            if (stored && FONT_CONFIG.sizes.includes(stored.size)) font.size = stored.size;
+        } catch (error) {
+            console.warn('Font preference could not be loaded:', error);
+        }
+        return font;
+    }
+
+    getFont() {
+        return { ...this.font };
+    }
+
+    async apply() {
+        this.font = { family: this.familySelect.value, size: parseInt(this.sizeSelect.value, 10) };
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.font));
+        } catch (error) {
+            console.warn('Font preference will not persist:', error);
+        }
+
+        this.familySelect.disabled = true;
+        this.sizeSelect.disabled = true;
+        try {
+            if (this.onFontChange) {
+                await this.onFontChange(this.getFont());
+            }
+        } finally {
+            this.familySelect.disabled = false;
+            this.sizeSelect.disabled = false;
+        }
+    }
+}
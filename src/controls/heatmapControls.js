@@ -0,0 +1,94 @@
+import { HEATMAP_CONFIG } from '../config.js';
+import { HEATMAP_METRICS } from '../utils/heatmap.js';
+import { toCssColor } from '../utils/html.js';
+
+function formatValue(value, metric) {
+    if (metric === 'meanScore') return value.toFixed(3);
+    if (metric === 'rate') return value.toFixed(1);
+    return String(Math.round(value));
+}
+
+/**
+ * Controls for the match density overlay (mode, bin size, metric) and its
+ * color ramp legend
+ */
+export class HeatmapControls {
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.modeSelect = document.getElementById('heatmap-mode');
+        this.binSelect = document.getElementById('heatmap-bin');
+        this.metricSelect = document.getElementById('heatmap-metric');
+        this.options = document.getElementById('heatmap-options');
+        this.legend = document.getElementById('heatmap-legend');
+        this.legendTitle = document.getElementById('heatmap-legend-title');
+        this.legendRamp = document.getElementById('heatmap-legend-ramp');
+        this.legendMin = document.getElementById('heatmap-legend-min');
+        this.legendMax = document.getElementById('heatmap-legend-max');
+        this.status = document.getElementById('heatmap-status');
+        this.lastLegendKey = null;
+
+        const stops = HEATMAP_CONFIG.ramp.map((color, index) => `${toCssColor(color)} ${(index / (HEATMAP_CONFIG.ramp.length - 1)) * 100}%`);
+        this.legendRamp.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+        this.setupEventListeners();
+        this.updateLegend();
+    }
+
+    setupEventListeners() {
+        [this.modeSelect, this.binSelect, this.metricSelect].forEach((select) => {
+            select.addEventListener('change', () => this.apply());
+        });
+
+        // Matches change with every search; 'auto' mode switches on and off with zoom
+        window.addEventListener('visualization-matches-changed', () => this.updateLegend());
+        window.addEventListener('visualization-view-changed', () => this.updateLegend());
+    }
+
+    getOptions() {
+        const binSize = this.binSelect.value === 'chapter' ? 'chapter' : parseInt(this.binSelect.value, 10);
+        return { mode: this.modeSelect.value, binSize, metric: this.metricSelect.value };
+    }
+
+    apply() {
+        this.options.style.display = this.modeSelect.value === 'off' ? 'none' : 'flex';
+        this.visualization?.setHeatmapOptions(this.getOptions());
+        this.updateLegend();
+    }
+
+    updateLegend() {
+        // With the overlay off there is nothing to show, so skip computing the heatmap
+        const state = this.modeSelect.value === 'off' ? null : this.visualization?.getHeatmapState();
+        const showLegend = Boolean(state && state.mode !== 'off');
+        // View changes fire on every frame; only touch the DOM when something visible changed
+        const legendKey = showLegend
+            ? [state.active, state.status, state.metric, state.binSize, state.rampMin, state.max, state.binCount].join('|')
+            : 'hidden';
+        if (legendKey === this.lastLegendKey) return;
+        this.lastLegendKey = legendKey;
+
+        this.legend.style.display = showLegend ? 'block' : 'none';
+        if (!showLegend) return;
+
+        this.legendTitle.textContent = HEATMAP_METRICS[state.metric];
+        if (state.status !== 'ready') {
+            this.legendRamp.style.display = 'none';
+            this.legendMin.textContent = '';
+            this.legendMax.textContent = '';
+            this.status.textContent = state.message;
+            return;
+        }
+
+        this.legendRamp.style.display = 'block';
+        this.legendMin.textContent = formatValue(state.rampMin, state.metric);
+        this.legendMax.textContent = formatValue(state.max, state.metric);
+        this.status.textContent = state.active
+            ? `${state.binCount} ${state.binSize === 'chapter' ? 'chapter' : 'bin'}${state.binCount !== 1 ? 's' : ''} with matches`
+            : `Shown below ${Math.round(HEATMAP_CONFIG.autoZoomThreshold * 100)}% zoom`;
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.lastLegendKey = null;
+        this.apply();
+    }
+}
@@ -0,0 +1,137 @@
+import { HIGHLIGHT_CONFIG } from '../config.js';
+import { escapeHtml, toCssColor } from '../utils/html.js';
+
+/**
+ * Keeps several lexical queries highlighted at once, each in its own color,
+ * so their distributions can be compared across the text. The current search
+ * is moved into a new layer; layers can be toggled, recolored and removed.
+ * Dispatches 'highlight-layers-changed' with each layer's match count.
+ */
+export class HighlightLayerControls {
+    constructor(visualization, searchControls) {
+        this.visualization = visualization;
+        this.searchControls = searchControls;
+        this.addBtn = document.getElementById('highlight-layer-add');
+        this.list = document.getElementById('highlight-layers-list');
+        this.layers = []; // [{ id, query, caseSensitive, wholeWord, scope, color, visible, status, count, message }]
+        this.nextId = 1;
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        this.addBtn.addEventListener('click', () => this.addCurrentSearch());
+
+        window.addEventListener('search-state-changed', () => this.updateAddButton());
+        window.addEventListener('search-completed', () => this.updateAddButton());
+
+        this.list.addEventListener('change', (event) => {
+            const layer = this.layers.find((entry) => entry.id === event.target.getAttribute('data-layer'));
+            if (!layer) return;
+            if (event.target.type === 'checkbox') {
+                layer.visible = event.target.checked;
+            } else if (event.target.type === 'color') {
+                layer.color = parseInt(event.target.value.slice(1), 16);
+            }
+            this.apply();
+        });
+
+        this.list.addEventListener('click', (event) => {
+            const removeTarget = event.target.closest('[data-remove]');
+            if (!removeTarget) return;
+            this.layers = this.layers.filter((layer) => layer.id !== removeTarget.getAttribute('data-remove'));
+            this.apply();
+        });
+    }
+
+    /**
+     * Moves the current lexical search into a new layer and clears the search box
+     */
+    addCurrentSearch() {
+        const { term, semantic, caseSensitive, wholeWord, scope } = this.searchControls.getState();
+        if (term.length < 2 || semantic) return;
+
+        const isDuplicate = this.layers.some((layer) => layer.query === term
+            && layer.caseSensitive === caseSensitive
+            && layer.wholeWord === wholeWord
+            && JSON.stringify(layer.scope) === JSON.stringify(scope));
+        if (!isDuplicate) {
+            this.layers.push({
+                id: `layer-${this.nextId++}`,
+                query: term,
+                caseSensitive,
+                wholeWord,
+                scope,
+                color: this.getNextColor(),
+                visible: true
+            });
+        }
+
+        this.searchControls.clear();
+        this.searchControls.notifyStateChange();
+        this.apply();
+    }
+
+    /**
+     * Picks the first palette color no layer uses yet, cycling once all are taken
+     */
+    getNextColor() {
+        const colors = HIGHLIGHT_CONFIG.layers.colors;
+        const used = new Set(this.layers.map((layer) => layer.color));
+        return colors.find((color) => !used.has(color)) ?? colors[this.layers.length % colors.length];
+    }
+
+    apply() {
+        const results = this.visualization ? this.visualization.setHighlightLayers(this.layers) : [];
+        const resultsById = new Map(results.map((result) => [result.id, result]));
+        this.layers.forEach((layer) => {
+            const result = resultsById.get(layer.id);
+            layer.status = result?.status ?? 'pending';
+            layer.count = result?.count ?? 0;
+            layer.message = result?.message ?? '';
+        });
+
+        this.render();
+        window.dispatchEvent(new CustomEvent('highlight-layers-changed', {
+            detail: { layers: this.layers.map((layer) => ({ ...layer })) }
+        }));
+    }
+
+    updateAddButton() {
+        const { term, semantic } = this.searchControls.getState();
+        this.addBtn.disabled = term.length < 2 || semantic;
+        this.addBtn.title = semantic
+            ? 'Layers use lexical search; turn off semantic search first'
+            : 'Keep the current search highlighted as its own layer';
+    }
+
+    render() {
+        this.updateAddButton();
+        if (this.layers.length === 0) {
+            this.list.innerHTML = '<div class="highlight-layers-empty">Search for a term, then add it as a layer to compare several terms at once.</div>';
+            return;
+        }
+
+        this.list.innerHTML = this.layers.map((layer) => {
+            const count = layer.status === 'error'
+                ? `<span class="highlight-layer-count search-error" title="${escapeHtml(layer.message)}">error</span>`
+                : `<span class="highlight-layer-count">${layer.status === 'ready' ? layer.count : '…'}</span>`;
+            return `
+                <div class="highlight-layer${layer.visible ? '' : ' hidden'}">
+                    <input type="checkbox" data-layer="${layer.id}" ${layer.visible ? 'checked' : ''} title="Show or hide this layer">
+                    <input type="color" data-layer="${layer.id}" value="${toCssColor(layer.color)}" title="Layer color">
+                    <span class="highlight-layer-query">${escapeHtml(layer.query)}</span>
+                    ${count}
+                    <button class="highlight-layer-remove" data-remove="${layer.id}" title="Remove layer">×</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        // Layers are re-run against the newly loaded text
+        this.apply();
+    }
+}
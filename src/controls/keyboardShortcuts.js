@@ -0,0 +1,121 @@
+import { KEYBOARD_CONFIG } from '../config.js';
+
+/**
+ * Checks whether a key event comes from a field the user is typing in
+ */
+function isTypingTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    const tagName = target.tagName;
+    return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT';
+}
+
+/**
+ * Global keyboard shortcuts:
+ * - Enter / Shift+Enter: next / previous match
+ * - /: focus search
+ * - g: focus reference navigation
+ * - + / -: zoom in / out
+ * - Arrow keys, PageUp / PageDown: pan
+ * - Esc: clear search
+ * - `: toggle the render debug overlay
+ * Shortcuts are ignored while typing in an input.
+ */
+export class KeyboardShortcuts {
+    constructor({ searchControls, zoomControls, referenceNavigation, debugOverlay = null }) {
+        this.searchControls = searchControls;
+        this.zoomControls = zoomControls;
+        this.referenceNavigation = referenceNavigation;
+        this.debugOverlay = debugOverlay;
+        this.visualization = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    }
+
+    handleKeyDown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+
+        // Let focused buttons handle their own activation
+        if (e.key === 'Enter' && e.target?.tagName === 'BUTTON') return;
+
+        const handled = this.runShortcut(e);
+        if (handled) {
+            e.preventDefault();
+        }
+    }
+
+    runShortcut(e) {
+        switch (e.key) {
+            case 'Enter':
+                if (e.shiftKey) {
+                    this.searchControls.handlePreviousMatch();
+                } else {
+                    this.searchControls.handleNextMatch();
+                }
+                return true;
+            case '/':
+                this.searchControls.focus();
+                return true;
+            case 'g':
+                this.referenceNavigation.focus();
+                return true;
+            case '+':
+            case '=':
+                this.zoomControls.handleZoomIn();
+                return true;
+            case '-':
+            case '_':
+                this.zoomControls.handleZoomOut();
+                return true;
+            case 'Escape':
+                this.searchControls.clear();
+                this.searchControls.notifyStateChange();
+                return true;
+            case '`':
+                if (!this.debugOverlay) return false;
+                this.debugOverlay.toggle();
+                return true;
+            default:
+                return this.handlePanKey(e.key);
+        }
+    }
+
+    handlePanKey(key) {
+        if (!this.visualization) return false;
+
+        const step = KEYBOARD_CONFIG.panStep;
+        const page = window.innerHeight * KEYBOARD_CONFIG.pagePanFraction;
+
+        switch (key) {
+            case 'ArrowLeft':
+                this.visualization.pan(step, 0);
+                return true;
+            case 'ArrowRight':
+                this.visualization.pan(-step, 0);
+                return true;
+            case 'ArrowUp':
+                this.visualization.pan(0, step);
+                return true;
+            case 'ArrowDown':
+                this.visualization.pan(0, -step);
+                return true;
+            case 'PageUp':
+                this.visualization.pan(0, page);
+                return true;
+            case 'PageDown':
+                this.visualization.pan(0, -page);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+    }
+}
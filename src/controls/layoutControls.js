@@ -0,0 +1,69 @@
+import { LAYOUT_CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'bom-visualizer-layout';
+
+/**
+ * Line width and column count pickers. The choice is remembered in
+ * localStorage and applied to the visualization in place (see setLayout).
+ */
+export class LayoutControls {
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.lineWidthSelect = document.getElementById('layout-line-width');
+        this.columnsSelect = document.getElementById('layout-columns');
+
+        this.lineWidthSelect.innerHTML = [
+            '<option value="">Default width</option>',
+            ...LAYOUT_CONFIG.lineWidths.map((width) => `<option value="${width}">${width} chars</option>`)
+        ].join('');
+        this.columnsSelect.innerHTML = [
+            '<option value="auto">Auto columns</option>',
+            '<option value="fit">Fit to screen</option>',
+            ...LAYOUT_CONFIG.columnCounts.map((count) => `<option value="${count}">${count} column${count === 1 ? '' : 's'}</option>`)
+        ].join('');
+
+        this.layout = this.load();
+        this.lineWidthSelect.value = this.layout.lineWidth === null ? '' : String(this.layout.lineWidth);
+        this.columnsSelect.value = String(this.layout.columns);
+
+        this.lineWidthSelect.addEventListener('change', () => this.apply());
+        this.columnsSelect.addEventListener('change', () => this.apply());
+    }
+
+    load() {
+        const layout = { lineWidth: null, columns: 'auto' };
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && LAYOUT_CONFIG.lineWidths.includes(stored.lineWidth)) layout.lineWidth = stored.lineWidth;
+            if (stored && (stored.columns === 'fit' || LAYOUT_CONFIG.columnCounts.includes(stored.columns))) {
+                layout.columns = stored.columns;
+            }
+        } catch (error) {
+            console.warn('Layout preference could not be loaded:', error);
+        }
+        return layout;
+    }
+
+    getLayout() {
+        return { ...this.layout };
+    }
+
+    async apply() {
+        const columns = this.columnsSelect.value;
+        this.layout = {
+            lineWidth: this.lineWidthSelect.value ? parseInt(this.lineWidthSelect.value, 10) : null,
+            columns: columns === 'auto' || columns === 'fit' ? columns : parseInt(columns, 10)
+        };
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.layout));
+        } catch (error) {
+            console.warn('Layout preference will not persist:', error);
+        }
+
+        await this.visualization?.setLayout(this.getLayout());
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+    }
+}
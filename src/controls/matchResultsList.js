@@ -0,0 +1,186 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+import { escapeHtml } from '../utils/html.js';
+
+const ROW_HEIGHT = 40;
+const OVERSCAN_ROWS = 6;
+
+/**
+ * Virtualized keyword-in-context list of lexical search matches.
+ * Only the rows inside the scroll viewport are in the DOM, so searches
+ * with thousands of hits stay responsive.
+ */
+export class MatchResultsList {
+    constructor(visualization, onSelect) {
+        this.visualization = visualization;
+        this.onSelect = onSelect;
+        this.container = document.getElementById('match-results-container');
+        this.status = document.getElementById('match-results-status');
+        this.sortSelect = document.getElementById('match-results-sort');
+        this.list = document.getElementById('match-results-list');
+        this.order = [];
+        this.scores = null; // verseIndex -> BM25 score while sorted by relevance
+        this.renderFrame = null;
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'match-results-spacer';
+        this.list.appendChild(this.spacer);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.list.addEventListener('scroll', () => this.scheduleRender());
+
+        this.list.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-match-index]');
+            if (!target || !this.onSelect) return;
+            const matchIndex = Number(target.getAttribute('data-match-index'));
+            if (Number.isFinite(matchIndex)) {
+                this.onSelect(matchIndex);
+            }
+        });
+
+        this.sortSelect.addEventListener('change', () => {
+            this.update();
+        });
+    }
+
+    /**
+     * Rebuilds the list from the visualization's current lexical matches
+     */
+    update() {
+        const count = this.visualization ? this.visualization.getSearchResultCount() : 0;
+        const searchManager = this.visualization?.getSearchManager();
+        const order = [];
+        for (let matchIndex = 0; matchIndex < count; matchIndex++) {
+            if (searchManager.getMatch(matchIndex)?.verseStart !== undefined) {
+                order.push(matchIndex);
+            }
+        }
+
+        if (order.length === 0) {
+            this.clear();
+            return;
+        }
+
+        this.scores = null;
+        if (this.sortSelect.value === 'book') {
+            this.sortByBook(order, searchManager);
+        } else if (this.sortSelect.value === 'relevance') {
+            this.sortByRelevance(order, searchManager);
+        }
+
+        this.order = order;
+        this.container.style.display = 'block';
+        this.status.textContent = `${order.length} match${order.length !== 1 ? 'es' : ''}`;
+        this.spacer.style.height = `${order.length * ROW_HEIGHT}px`;
+        this.list.scrollTop = 0;
+        this.renderRows();
+    }
+
+    /**
+     * Groups matches by book, books with the most hits first; canonical order within a book
+     */
+    sortByBook(order, searchManager) {
+        const bookRank = new Map(BOOK_DEFINITIONS.map((book, index) => [book.name, index]));
+        const bookOf = new Map();
+        const bookCounts = new Map();
+
+        for (const matchIndex of order) {
+            const verseIndex = searchManager.getMatch(matchIndex).verseIndex;
+            const book = this.visualization.getVerseReference(verseIndex)?.book || '';
+            bookOf.set(matchIndex, book);
+            bookCounts.set(book, (bookCounts.get(book) || 0) + 1);
+        }
+
+        order.sort((a, b) => {
+            const bookA = bookOf.get(a);
+            const bookB = bookOf.get(b);
+            if (bookA !== bookB) {
+                const countDiff = bookCounts.get(bookB) - bookCounts.get(bookA);
+                if (countDiff !== 0) return countDiff;
+                return (bookRank.get(bookA) ?? 0) - (bookRank.get(bookB) ?? 0);
+            }
+            return a - b;
+        });
+    }
+
+    /**
+     * Orders matches by their verse's BM25 score, best first; text order within a verse
+     */
+    sortByRelevance(order, searchManager) {
+        this.scores = this.visualization.getLexicalScores();
+        const scoreOf = (matchIndex) => this.scores.get(searchManager.getMatch(matchIndex).verseIndex) ?? 0;
+        order.sort((a, b) => scoreOf(b) - scoreOf(a) || a - b);
+    }
+
+    /**
+     * Re-renders the visible rows (e.g. after the current match changes)
+     * and scrolls the current match into view
+     */
+    refresh() {
+        if (this.order.length === 0) return;
+
+        const currentMatchIndex = this.visualization?.getCurrentMatchIndex() ?? -1;
+        const position = currentMatchIndex >= 0 ? this.order.indexOf(currentMatchIndex) : -1;
+        if (position >= 0) {
+            const rowTop = position * ROW_HEIGHT;
+            const viewHeight = this.list.clientHeight;
+            if (rowTop < this.list.scrollTop || rowTop + ROW_HEIGHT > this.list.scrollTop + viewHeight) {
+                this.list.scrollTop = Math.max(0, rowTop - (viewHeight - ROW_HEIGHT) / 2);
+            }
+        }
+        this.renderRows();
+    }
+
+    scheduleRender() {
+        if (this.renderFrame !== null) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderRows();
+        });
+    }
+
+    renderRows() {
+        const scrollTop = this.list.scrollTop;
+        const viewHeight = this.list.clientHeight || ROW_HEIGHT * 6;
+        const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const last = Math.min(this.order.length, Math.ceil((scrollTop + viewHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+        const currentMatchIndex = this.visualization?.getCurrentMatchIndex() ?? -1;
+
+        const rows = [];
+        for (let position = first; position < last; position++) {
+            const matchIndex = this.order[position];
+            const context = this.visualization.getMatchContext(matchIndex);
+            if (!context) continue;
+
+            const activeClass = matchIndex === currentMatchIndex ? ' active' : '';
+            const score = this.scores?.get(context.verseIndex);
+            const scoreBadge = score !== undefined
+                ? `<span class="match-result-score" title="BM25 relevance">${score.toFixed(2)}</span>`
+                : '';
+            rows.push(`
+                <div class="match-result-item${activeClass}" data-match-index="${matchIndex}" style="top: ${position * ROW_HEIGHT}px; height: ${ROW_HEIGHT}px;">
+                    <div class="match-result-ref">${escapeHtml(context.reference)}${scoreBadge}</div>
+                    <div class="match-result-snippet">${escapeHtml(context.before)}<mark>${escapeHtml(context.hit)}</mark>${escapeHtml(context.after)}</div>
+                </div>
+            `);
+        }
+
+        this.spacer.innerHTML = rows.join('');
+    }
+
+    clear() {
+        this.order = [];
+        this.scores = null;
+        this.container.style.display = 'none';
+        this.status.textContent = '';
+        this.spacer.style.height = '0px';
+        this.spacer.innerHTML = '';
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.clear();
+    }
+}
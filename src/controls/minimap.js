@@ -0,0 +1,186 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+import { MINIMAP_CONFIG } from '../config.js';
+import { toCssColor } from '../utils/html.js';
+
+/**
+ * Overview of the whole column layout: book color bands, search match
+ * density ticks and the current viewport. Click or drag to pan the main view.
+ */
+export class Minimap {
+    constructor(app, visualization) {
+        this.app = app;
+        this.visualization = visualization;
+        this.container = document.getElementById('minimap-container');
+        this.canvas = document.getElementById('minimap-canvas');
+        this.context = this.canvas.getContext('2d');
+        this.scale = 1;
+        this.matchBins = [];
+        this.maxBinCount = 0;
+        this.dragPointerId = null;
+        this.renderFrame = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('visualization-view-changed', () => this.scheduleRender());
+        window.addEventListener('visualization-matches-changed', () => {
+            this.updateMatchBins();
+            this.scheduleRender();
+        });
+        window.addEventListener('visualization-layout-changed', () => {
+            if (!this.visualization) return;
+            this.resize();
+            this.updateMatchBins();
+            this.scheduleRender();
+        });
+
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.visualization) return;
+            e.preventDefault();
+            this.dragPointerId = e.pointerId;
+            this.canvas.setPointerCapture?.(e.pointerId);
+            this.panTo(e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.dragPointerId) {
+                this.panTo(e);
+            }
+        });
+        const endDrag = (e) => {
+            if (e.pointerId !== this.dragPointerId) return;
+            this.dragPointerId = null;
+            this.canvas.releasePointerCapture?.(e.pointerId);
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * Sizes the canvas to the layout's aspect ratio within the configured bounds
+     */
+    resize() {
+        const { totalWidth, totalHeight } = this.visualization.getLayout();
+        this.scale = Math.min(MINIMAP_CONFIG.width / totalWidth, MINIMAP_CONFIG.maxHeight / totalHeight);
+
+        const width = Math.max(1, Math.round(totalWidth * this.scale));
+        const height = Math.max(1, Math.round(totalHeight * this.scale));
+        const resolution = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * resolution);
+        this.canvas.height = Math.round(height * resolution);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.context.setTransform(resolution, 0, 0, resolution, 0, 0);
+    }
+
+    /**
+     * Bins match lines into one bin per minimap pixel row of each column
+     */
+    updateMatchBins() {
+        this.matchBins = [];
+        this.maxBinCount = 0;
+        if (!this.visualization) return;
+
+        const { linesPerColumn, numColumns, lineHeight, padding } = this.visualization.getLayout();
+        for (const lineIndex of this.visualization.getMatchLineIndices()) {
+            const column = Math.min(Math.floor(lineIndex / linesPerColumn), numColumns - 1);
+            const columnLine = lineIndex - column * linesPerColumn;
+            const row = Math.floor((padding + columnLine * lineHeight) * this.scale);
+
+            const bins = this.matchBins[column] ?? (this.matchBins[column] = new Map());
+            const count = (bins.get(row) || 0) + 1;
+            bins.set(row, count);
+            this.maxBinCount = Math.max(this.maxBinCount, count);
+        }
+    }
+
+    scheduleRender() {
+        if (this.renderFrame !== null || !this.visualization) return;
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    render() {
+        if (!this.visualization) return;
+
+        const layout = this.visualization.getLayout();
+        const { columnXPositions, columnWidth, lineHeight, padding, bookRegions } = layout;
+        const scale = this.scale;
+        const ctx = this.context;
+        const width = layout.totalWidth * scale;
+        const height = layout.totalHeight * scale;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = MINIMAP_CONFIG.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+
+        // Book color bands
+        ctx.globalAlpha = MINIMAP_CONFIG.bandOpacity;
+        for (const { bookIndex, startLine, endLine, column } of bookRegions) {
+            ctx.fillStyle = toCssColor(BOOK_DEFINITIONS[bookIndex]?.color ?? 0x666666);
+            ctx.fillRect(
+                columnXPositions[column] * scale,
+                (padding + startLine * lineHeight) * scale,
+                Math.max(1, columnWidth * scale),
+                Math.max(1, (endLine - startLine + 1) * lineHeight * scale)
+            );
+        }
+
+        // Match density ticks, stronger where more matches share a row
+        ctx.fillStyle = MINIMAP_CONFIG.matchTickColor;
+        this.matchBins.forEach((bins, column) => {
+            if (!bins) return;
+            const x = columnXPositions[column] * scale;
+            for (const [row, count] of bins) {
+                ctx.globalAlpha = MINIMAP_CONFIG.minTickOpacity
+                    + (1 - MINIMAP_CONFIG.minTickOpacity) * (count / this.maxBinCount);
+                ctx.fillRect(x, row, Math.max(1, columnWidth * scale), 1);
+            }
+        });
+        ctx.globalAlpha = 1;
+
+        // Current viewport
+        const { zoom, centerX, centerY } = this.visualization.getViewState();
+        const viewWidth = this.app.screen.width / zoom * scale;
+        const viewHeight = this.app.screen.height / zoom * scale;
+        ctx.strokeStyle = MINIMAP_CONFIG.viewportColor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(
+            centerX * scale - viewWidth / 2 + 0.5,
+            centerY * scale - viewHeight / 2 + 0.5,
+            Math.max(2, viewWidth - 1),
+            Math.max(2, viewHeight - 1)
+        );
+    }
+
+    /**
+     * Centers the main view on the world point under the pointer, keeping the zoom
+     */
+    panTo(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const centerX = (e.clientX - rect.left) / this.scale;
+        const centerY = (e.clientY - rect.top) / this.scale;
+        this.visualization.setViewState({
+            zoom: this.visualization.getZoom(),
+            centerX,
+            centerY
+        });
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.dragPointerId = null;
+        if (!visualization) {
+            this.container.style.display = 'none';
+            return;
+        }
+
+        this.container.style.display = 'block';
+        this.resize();
+        this.updateMatchBins();
+        this.render();
+    }
+}
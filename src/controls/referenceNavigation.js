@@ -0,0 +1,90 @@
+import { parseReference, resolveReference } from '../utils/references.js';
+
+/**
+ * Manages the "Go to" reference input
+ */
+export class ReferenceNavigation {
+    constructor(visualization, onBeforeNavigate = null) {
+        this.visualization = visualization;
+        this.onBeforeNavigate = onBeforeNavigate;
+        this.gotoInput = document.getElementById('goto-input');
+        this.gotoButton = document.getElementById('goto-button');
+        this.gotoStatus = document.getElementById('goto-status');
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.gotoInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.navigate(this.gotoInput.value);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.gotoInput.blur();
+            }
+        });
+
+        this.gotoInput.addEventListener('input', () => {
+            this.gotoInput.classList.remove('invalid');
+            this.gotoStatus.textContent = '';
+        });
+
+        this.gotoButton.addEventListener('click', () => {
+            this.navigate(this.gotoInput.value);
+        });
+    }
+
+    /**
+     * Parses and resolves a reference, then jumps to it.
+     * Ranges are highlighted from their first through last verse.
+     * @param {string} input - Reference text, e.g. "Alma 32:21"
+     * @returns {boolean} - Whether navigation succeeded
+     */
+    navigate(input) {
+        if (!this.visualization) return false;
+
+        let resolved;
+        try {
+            const reference = parseReference(input);
+            resolved = resolveReference(reference, this.visualization.getVerseMetaList());
+        } catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+
+        if (this.onBeforeNavigate) {
+            this.onBeforeNavigate(resolved);
+        }
+
+        const { startVerseIndex, endVerseIndex, label } = resolved;
+        if (endVerseIndex > startVerseIndex) {
+            this.visualization.highlightVerseRange(startVerseIndex, endVerseIndex);
+        }
+        this.visualization.jumpToVerse(startVerseIndex);
+
+        this.gotoInput.classList.remove('invalid');
+        this.gotoStatus.textContent = label;
+        return true;
+    }
+
+    showError(message) {
+        this.gotoInput.classList.add('invalid');
+        this.gotoStatus.textContent = message;
+    }
+
+    focus() {
+        this.gotoInput.focus();
+        this.gotoInput.select();
+    }
+
+    clear() {
+        this.gotoInput.value = '';
+        this.gotoInput.classList.remove('invalid');
+        this.gotoStatus.textContent = '';
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+    }
+}
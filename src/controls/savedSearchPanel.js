@@ -0,0 +1,234 @@
+import { SAVED_SEARCH_CONFIG } from '../config.js';
+import { describeSearch, getSearchKey } from '../utils/savedSearches.js';
+import { escapeHtml } from '../utils/html.js';
+
+/**
+ * Search history and saved searches under the search input: a dropdown
+ * re-runs any of them, and the comparison list shows how many results each
+ * one finds in the loaded text.
+ */
+export class SavedSearchPanel {
+    constructor(savedSearchStore, searchControls, visualization) {
+        this.store = savedSearchStore;
+        this.searchControls = searchControls;
+        this.visualization = visualization;
+        this.select = document.getElementById('saved-search-select');
+        this.saveBtn = document.getElementById('saved-search-save');
+        this.compareBtn = document.getElementById('saved-search-compare');
+        this.compareContainer = document.getElementById('saved-search-compare-container');
+        this.compareList = document.getElementById('saved-search-compare-list');
+        this.clearHistoryBtn = document.getElementById('saved-search-clear-history');
+        this.historyTimer = null;
+        this.pendingSearch = null;
+        this.compareGeneration = 0;
+        // getSearchKey -> count result in the current visualization
+        this.countCache = new Map();
+
+        this.setupEventListeners();
+        this.renderSelect();
+    }
+
+    setupEventListeners() {
+        this.select.addEventListener('change', () => {
+            const [list, index] = this.select.value.split(':');
+            const search = (list === 'saved' ? this.store.getSaved() : this.store.getHistory())[Number(index)];
+            // Reset so choosing the same entry again still fires 'change'
+            this.select.value = '';
+            if (search) {
+                this.run(search);
+            }
+        });
+
+        this.saveBtn.addEventListener('click', () => this.handleSave());
+        this.compareBtn.addEventListener('click', () => {
+            const isOpen = this.compareContainer.style.display !== 'none';
+            this.compareContainer.style.display = isOpen ? 'none' : 'block';
+            if (!isOpen) {
+                this.renderComparison();
+            }
+        });
+        this.clearHistoryBtn.addEventListener('click', () => this.store.clearHistory());
+
+        this.compareList.addEventListener('click', (event) => {
+            const removeTarget = event.target.closest('[data-remove]');
+            if (removeTarget) {
+                this.store.remove(removeTarget.getAttribute('data-remove'));
+                return;
+            }
+            const row = event.target.closest('[data-list]');
+            if (!row) return;
+            const entries = row.getAttribute('data-list') === 'saved' ? this.store.getSaved() : this.store.getHistory();
+            const search = entries[Number(row.getAttribute('data-index'))];
+            if (search) {
+                this.run(search);
+            }
+        });
+
+        // Only searches that stay put for a moment enter the history, not every keystroke
+        window.addEventListener('search-completed', (event) => {
+            const { term, ...options } = event.detail;
+            this.pendingSearch = { query: term, ...options };
+            clearTimeout(this.historyTimer);
+            this.historyTimer = setTimeout(() => {
+                this.store.recordHistory(this.pendingSearch);
+                this.pendingSearch = null;
+            }, SAVED_SEARCH_CONFIG.historyDelay);
+        });
+        window.addEventListener('search-state-changed', (event) => {
+            if (this.pendingSearch && event.detail.term !== this.pendingSearch.query) {
+                clearTimeout(this.historyTimer);
+                this.pendingSearch = null;
+            }
+        });
+
+        window.addEventListener('saved-searches-changed', () => {
+            this.renderSelect();
+            if (this.isComparing()) {
+                this.renderComparison();
+            }
+        });
+    }
+
+    run(search) {
+        const { query, ...options } = search;
+        this.searchControls.applyState({ term: query, ...options });
+        this.searchControls.notifyStateChange();
+    }
+
+    handleSave() {
+        const { term, ...options } = this.searchControls.getState();
+        if (term.length < 2) {
+            window.alert('Enter a search before saving it.');
+            return;
+        }
+        const name = window.prompt('Name this search:', term);
+        if (!name || !name.trim()) return;
+        if (this.store.getSaved().some((entry) => entry.name === name.trim())
+            && !window.confirm(`Replace the saved search "${name.trim()}"?`)) {
+            return;
+        }
+        this.store.save(name, { query: term, ...options, count: this.getCurrentCount() });
+    }
+
+    getCurrentCount() {
+        if (!this.visualization) return null;
+        return this.searchControls.isSemanticEnabled()
+            ? this.visualization.getSemanticResultCount()
+            : this.visualization.getSearchResultCount();
+    }
+
+    renderSelect() {
+        const saved = this.store.getSaved();
+        const history = this.store.getHistory();
+        const option = (list, search, index) => {
+            const label = list === 'saved' ? `${search.name} — ${search.query}` : search.query;
+            return `<option value="${list}:${index}" title="${escapeHtml(describeSearch(search))}">${escapeHtml(label)}${search.semantic ? ` (${search.hybrid ? 'hybrid' : 'semantic'})` : ''}</option>`;
+        };
+
+        const groups = [`<option value="">${saved.length + history.length > 0 ? 'Recent and saved searches…' : 'No recent searches'}</option>`];
+        if (saved.length > 0) {
+            groups.push(`<optgroup label="Saved">${saved.map((search, index) => option('saved', search, index)).join('')}</optgroup>`);
+        }
+        if (history.length > 0) {
+            groups.push(`<optgroup label="Recent">${history.map((search, index) => option('history', search, index)).join('')}</optgroup>`);
+        }
+        this.select.innerHTML = groups.join('');
+        this.select.disabled = saved.length + history.length === 0;
+    }
+
+    isComparing() {
+        return this.compareContainer.style.display !== 'none';
+    }
+
+    /**
+     * Lists saved searches, then recent ones not already saved, and fills in
+     * how many results each finds in the currently loaded text. Counts are
+     * cached per search until the visualization is replaced, so the refresh
+     * after each recorded search only counts the new row.
+     */
+    async renderComparison() {
+        const generation = ++this.compareGeneration;
+        const savedKeys = new Set(this.store.getSaved().map(getSearchKey));
+        const rows = [
+            ...this.store.getSaved().map((search, index) => ({ list: 'saved', search, index })),
+            ...this.store.getHistory()
+                .map((search, index) => ({ list: 'history', search, index }))
+                .filter(({ search }) => !savedKeys.has(getSearchKey(search)))
+        ];
+        this.clearHistoryBtn.disabled = this.store.getHistory().length === 0;
+
+        if (rows.length === 0) {
+            this.compareList.innerHTML = '<div class="saved-search-empty">Searches you run or save appear here.</div>';
+            return;
+        }
+
+        const { term, ...currentOptions } = this.searchControls.getState();
+        const currentKey = getSearchKey({ query: term, ...currentOptions });
+        const drawRows = (counts) => {
+            const max = Math.max(1, ...counts.map((result) => result?.count ?? 0));
+            this.compareList.innerHTML = rows.map(({ list, search, index }, rowIndex) => {
+                const result = counts[rowIndex];
+                let countText = '…';
+                let countTitle = '';
+                if (result?.status === 'ready') {
+                    countText = String(result.count);
+                } else if (result) {
+                    countText = '—';
+                    countTitle = result.message || 'Semantic search is not loaded';
+                }
+                const width = result?.status === 'ready' ? (result.count / max) * 100 : 0;
+                const remove = list === 'saved'
+                    ? `<button class="saved-search-remove" data-remove="${escapeHtml(search.name)}" title="Delete saved search">×</button>`
+                    : '';
+                return `
+                    <div class="saved-search-row${getSearchKey(search) === currentKey ? ' active' : ''}" data-list="${list}" data-index="${index}" title="${escapeHtml(describeSearch(search))}">
+                        <div class="saved-search-row-header">
+                            <span class="saved-search-name">${escapeHtml(list === 'saved' ? search.name : search.query)}</span>
+                            <span class="saved-search-count" title="${escapeHtml(countTitle)}">${countText}</span>
+                            ${remove}
+                        </div>
+                        <div class="saved-search-mode">${list === 'saved' ? 'Saved' : 'Recent'} · ${escapeHtml(describeSearch(search))}</div>
+                        <div class="saved-search-bar" style="width: ${width}%;"></div>
+                    </div>
+                `;
+            }).join('');
+        };
+
+        const keys = rows.map(({ search }) => getSearchKey(search));
+        const counts = keys.map((key) => this.countCache.get(key) ?? null);
+        drawRows(counts);
+        if (!this.visualization || counts.every(Boolean)) return;
+
+        const visualization = this.visualization;
+        for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+            if (counts[rowIndex]) continue;
+            const { search } = rows[rowIndex];
+            if (search.hybrid) {
+                counts[rowIndex] = await visualization.countHybridMatches(search.query, search.threshold, search.scope);
+            } else if (search.semantic) {
+                counts[rowIndex] = await visualization.countSemanticMatches(search.query, search.threshold, search.scope);
+            } else {
+                counts[rowIndex] = visualization.countMatches(search.query, {
+                    caseSensitive: search.caseSensitive,
+                    wholeWord: search.wholeWord,
+                    scope: search.scope
+                });
+            }
+            if (visualization !== this.visualization) return;
+            // Only ready counts are kept; semantic rows may still be waiting on the embeddings
+            if (counts[rowIndex].status === 'ready') {
+                this.countCache.set(keys[rowIndex], counts[rowIndex]);
+            }
+            if (generation !== this.compareGeneration) return;
+        }
+        drawRows(counts);
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.countCache.clear();
+        if (this.isComparing()) {
+            this.renderComparison();
+        }
+    }
+}
@@ -0,0 +1,67 @@
+import { SEMANTIC_HIGHLIGHT_CONFIG } from '../config.js';
+import { toCssColor } from '../utils/html.js';
+
+const RAMP_LABELS = {
+    heat: 'Heat',
+    viridis: 'Viridis',
+    yellow: 'Yellow'
+};
+
+/**
+ * Chooses how semantic highlights are shaded by score (by rank among the
+ * results, by absolute score, or flat) and shows the matching legend
+ */
+export class ScoreColoringControls {
+    constructor(visualization) {
+        this.visualization = visualization;
+        this.modeSelect = document.getElementById('score-coloring-mode');
+        this.rampSelect = document.getElementById('score-coloring-ramp');
+        this.legend = document.getElementById('score-legend');
+        this.legendRamp = document.getElementById('score-legend-ramp');
+        this.legendMin = document.getElementById('score-legend-min');
+        this.legendMax = document.getElementById('score-legend-max');
+
+        this.rampSelect.innerHTML = Object.keys(SEMANTIC_HIGHLIGHT_CONFIG.ramps)
+            .map((name) => `<option value="${name}">${RAMP_LABELS[name] || name}</option>`)
+            .join('');
+        this.rampSelect.value = SEMANTIC_HIGHLIGHT_CONFIG.defaultRamp;
+
+        this.modeSelect.addEventListener('change', () => this.apply());
+        this.rampSelect.addEventListener('change', () => this.apply());
+        this.updateLegend();
+    }
+
+    apply() {
+        this.visualization?.setScoreColoring({ mode: this.modeSelect.value, ramp: this.rampSelect.value });
+        this.updateLegend();
+    }
+
+    updateLegend() {
+        const mode = this.modeSelect.value;
+        this.rampSelect.disabled = mode === 'flat';
+        this.legend.style.display = mode === 'flat' ? 'none' : 'block';
+        if (mode === 'flat') return;
+
+        const ramp = SEMANTIC_HIGHLIGHT_CONFIG.ramps[this.rampSelect.value];
+        const { minOpacity, maxOpacity, absoluteRange } = SEMANTIC_HIGHLIGHT_CONFIG;
+        const stops = ramp.map((color, index) => {
+            const t = index / (ramp.length - 1);
+            const alpha = Math.round((minOpacity + (maxOpacity - minOpacity) * t) * 255).toString(16).padStart(2, '0');
+            return `${toCssColor(color)}${alpha} ${t * 100}%`;
+        });
+        this.legendRamp.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+        if (mode === 'absolute') {
+            this.legendMin.textContent = `≤ ${absoluteRange.min.toFixed(2)}`;
+            this.legendMax.textContent = `≥ ${absoluteRange.max.toFixed(2)}`;
+        } else {
+            this.legendMin.textContent = 'Lowest ranked';
+            this.legendMax.textContent = 'Best match';
+        }
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.apply();
+    }
+}
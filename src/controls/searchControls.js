@@ -1,3 +1,7 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+import { MatchResultsList } from './matchResultsList.js';
+import { toCssColor } from '../utils/html.js';
+
 /**
  * Manages search input and result display
  */
@@ -5,9 +9,22 @@ export class SearchControls {
     constructor(visualization) {
         this.visualization = visualization;
         this.searchInput = document.getElementById('search-input');
+        this.searchCompletions = document.getElementById('search-completions');
         this.searchResults = document.getElementById('search-results');
         this.nextMatchBtn = document.getElementById('next-match');
+        this.prevMatchBtn = document.getElementById('prev-match');
+        this.firstMatchBtn = document.getElementById('first-match');
+        this.lastMatchBtn = document.getElementById('last-match');
+        this.matchNumberInput = document.getElementById('match-number');
         this.semanticToggle = document.getElementById('semantic-toggle');
+        this.hybridToggle = document.getElementById('hybrid-toggle');
+        this.lexicalOptions = document.getElementById('lexical-options');
+        this.caseToggle = document.getElementById('case-toggle');
+        this.wholeWordToggle = document.getElementById('whole-word-toggle');
+        this.scopeSelect = document.getElementById('search-scope');
+        this.scopeBooks = document.getElementById('search-scope-books');
+        this.scopeReference = document.getElementById('search-scope-reference');
+        this.bookCounts = document.getElementById('search-book-counts');
         this.semanticStatus = document.getElementById('semantic-status');
         this.semanticThresholdContainer = document.getElementById('semantic-threshold-container');
         this.semanticThreshold = document.getElementById('semantic-threshold');
@@ -19,24 +36,121 @@ export class SearchControls {
         this.crossRefList = document.getElementById('crossref-list');
         this.searchTerm = '';
         this.semanticSearchTimer = null;
+        this.scopeTimer = null;
+        this.matchResultsList = new MatchResultsList(visualization, (matchIndex) => {
+            if (this.visualization?.jumpToMatchAndZoom(matchIndex)) {
+                this.updateSearchResults();
+            }
+        });
 
+        this.initializeScopeBooks();
+        this.updateScopeInputs();
         this.setupEventListeners();
     }
 
+    initializeScopeBooks() {
+        if (!this.scopeBooks) return;
+        this.scopeBooks.innerHTML = '';
+        BOOK_DEFINITIONS.forEach((book, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = book.name;
+            this.scopeBooks.appendChild(option);
+        });
+    }
+
     setupEventListeners() {
         // Search input
         this.searchInput.addEventListener('input', (e) => {
             this.handleSearchInput(e.target.value.trim());
+            this.updateCompletions(e.target.value);
+            this.notifyStateChange();
         });
 
         // Next match button
         this.nextMatchBtn.addEventListener('click', () => {
             this.handleNextMatch();
         });
+        this.prevMatchBtn?.addEventListener('click', () => this.handlePreviousMatch());
+        this.firstMatchBtn?.addEventListener('click', () => this.handleFirstMatch());
+        this.lastMatchBtn?.addEventListener('click', () => this.handleLastMatch());
+
+        if (this.matchNumberInput) {
+            this.matchNumberInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.handleMatchNumber(parseInt(this.matchNumberInput.value, 10));
+                }
+            });
+        }
+
+        // Enter / Shift+Enter step through matches; Escape clears the search
+        this.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.handlePreviousMatch();
+                } else {
+                    this.handleNextMatch();
+                }
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.clear();
+                this.notifyStateChange();
+                this.searchInput.blur();
+            }
+        });
 
         if (this.semanticToggle) {
             this.semanticToggle.addEventListener('change', () => {
                 this.handleSemanticToggle();
+                this.notifyStateChange();
+            });
+        }
+
+        if (this.hybridToggle) {
+            this.hybridToggle.addEventListener('change', () => {
+                if (this.isSemanticEnabled()) {
+                    this.handleSemanticSearchInput();
+                }
+                this.notifyStateChange();
+            });
+        }
+
+        [this.caseToggle, this.wholeWordToggle].forEach((toggle) => {
+            if (!toggle) return;
+            toggle.addEventListener('change', () => {
+                if (!this.isSemanticEnabled()) {
+                    this.handleSearchInput(this.searchTerm);
+                }
+                this.notifyStateChange();
+            });
+        });
+
+        if (this.scopeSelect) {
+            this.scopeSelect.addEventListener('change', () => {
+                this.updateScopeInputs();
+                this.rerunSearch();
+                this.notifyStateChange();
+            });
+        }
+
+        if (this.scopeBooks) {
+            this.scopeBooks.addEventListener('change', () => {
+                this.rerunSearch();
+                this.notifyStateChange();
+            });
+        }
+
+        if (this.scopeReference) {
+            this.scopeReference.addEventListener('input', () => {
+                if (this.scopeTimer) {
+                    clearTimeout(this.scopeTimer);
+                }
+                this.scopeTimer = setTimeout(() => {
+                    this.rerunSearch();
+                    this.notifyStateChange();
+                }, 300);
             });
         }
 
@@ -45,6 +159,7 @@ export class SearchControls {
                 if (this.isSemanticEnabled() && this.searchTerm.length >= 2) {
                     this.handleSemanticSearchInput();
                 }
+                this.notifyStateChange();
             });
         }
 
@@ -83,21 +198,54 @@ export class SearchControls {
 
         // Only search if at least 2 characters have been entered
         if (this.searchTerm.length >= 2) {
-            this.visualization.search(this.searchTerm);
+            const result = this.visualization.search(this.searchTerm, {
+                ...this.getQueryOptions(),
+                scope: this.getScope()
+            });
+            if (result?.status === 'error') {
+                this.showSearchError(result.message);
+                return;
+            }
+            this.searchResults.classList.remove('search-error');
+            this.matchResultsList.update();
             this.updateSearchResults();
+            this.notifySearchCompleted(result.count);
         } else {
+            this.searchResults.classList.remove('search-error');
+            this.matchResultsList.clear();
             // Clear search if less than 2 characters
             this.visualization.clearSearch();
             this.searchResults.textContent = this.searchTerm.length > 0
                 ? 'Enter at least 2 characters to search'
                 : '';
-            this.nextMatchBtn.disabled = true;
+            this.setMatchNavigationDisabled(true);
         }
     }
 
+    /**
+     * Offers completions of the word being typed, drawn from the text's vocabulary
+     */
+    updateCompletions(value) {
+        if (!this.searchCompletions) return;
+        const partial = value.match(/[\p{L}\p{N}']+$/u)?.[0] ?? '';
+        const completions = partial.length >= 2 && this.visualization
+            ? this.visualization.completeWord(partial)
+            : [];
+        const before = value.slice(0, value.length - partial.length);
+
+        this.searchCompletions.innerHTML = '';
+        completions.forEach(({ word, count }) => {
+            const option = document.createElement('option');
+            option.value = before + word;
+            option.label = `${count} occurrence${count !== 1 ? 's' : ''}`;
+            this.searchCompletions.appendChild(option);
+        });
+    }
+
     updateSearchResults() {
         if (this.isSemanticEnabled()) {
             const count = this.visualization.getSemanticResultCount();
+            const kind = this.isHybridEnabled() ? 'hybrid' : 'semantic';
             if (count > 0) {
                 const scores = this.visualization.getSemanticScores();
                 const currentMatchIndex = this.visualization.getCurrentMatchIndex();
@@ -129,20 +277,22 @@ export class SearchControls {
                     }
                     
                     this.searchResults.innerHTML = `
-                        <div>Showing ${count} semantic match${count !== 1 ? 'es' : ''}</div>
+                        <div>Showing ${count} ${kind} match${count !== 1 ? 'es' : ''}</div>
                         <div style="font-size: 11px; color: #888; margin-top: 4px;">
                             Scores: ${maxScore.toFixed(3)} (max) / ${avgScore.toFixed(3)} (avg) / ${minScore.toFixed(3)} (min)
                         </div>
                         ${currentScoreText}
                     `;
                 } else {
-                    this.searchResults.textContent = `Showing ${count} semantic match${count !== 1 ? 'es' : ''}`;
+                    this.searchResults.textContent = `Showing ${count} ${kind} match${count !== 1 ? 'es' : ''}`;
                 }
             } else {
-                this.searchResults.textContent = 'No semantic matches found';
+                this.searchResults.textContent = `No ${kind} matches found`;
             }
-            this.nextMatchBtn.disabled = count === 0;
+            this.setMatchNavigationDisabled(count === 0);
             this.updateSemanticResultsList();
+            this.updateBookCounts();
+            this.matchResultsList.clear();
             return;
         }
 
@@ -157,10 +307,105 @@ export class SearchControls {
         } else {
             this.searchResults.textContent = 'No matches found';
         }
-        this.nextMatchBtn.disabled = count === 0;
+        this.setMatchNavigationDisabled(count === 0);
         this.updateCrossRefs();
         this.updateCrossRefs();
         this.updateSemanticResultsList();
+        this.updateBookCounts();
+        this.matchResultsList.refresh();
+    }
+
+    /**
+     * Shows how the current results are spread across books
+     */
+    updateBookCounts() {
+        if (!this.bookCounts) return;
+        const counts = this.visualization ? this.visualization.getMatchCountsByBook() : [];
+        if (counts.length === 0) {
+            this.bookCounts.innerHTML = '';
+            return;
+        }
+
+        this.bookCounts.innerHTML = counts.map((entry) => {
+            const color = toCssColor(BOOK_DEFINITIONS[entry.bookIndex].color);
+            return `
+                <span class="book-count">
+                    <span class="book-count-color" style="background: ${color};"></span>
+                    ${entry.book} <span class="book-count-value">${entry.count}</span>
+                </span>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Gets the selected search scope
+     * @returns {{type: string, bookIndices?: number[], text?: string}}
+     */
+    getScope() {
+        const type = this.scopeSelect?.value || 'all';
+        if (type === 'books') {
+            const bookIndices = Array.from(this.scopeBooks?.selectedOptions || [])
+                .map((option) => parseInt(option.value, 10));
+            return { type, bookIndices };
+        }
+        if (type === 'reference') {
+            return { type, text: this.scopeReference?.value.trim() || '' };
+        }
+        return { type };
+    }
+
+    setScope(scope) {
+        if (!this.scopeSelect) return;
+        const type = scope?.type || 'all';
+        this.scopeSelect.value = type;
+        if (this.scopeBooks) {
+            const selected = new Set(type === 'books' ? scope.bookIndices : []);
+            Array.from(this.scopeBooks.options).forEach((option) => {
+                option.selected = selected.has(parseInt(option.value, 10));
+            });
+        }
+        if (this.scopeReference) {
+            this.scopeReference.value = type === 'reference' ? scope.text || '' : '';
+        }
+        this.updateScopeInputs();
+    }
+
+    updateScopeInputs() {
+        const type = this.scopeSelect?.value || 'all';
+        if (this.scopeBooks) {
+            this.scopeBooks.style.display = type === 'books' ? 'block' : 'none';
+        }
+        if (this.scopeReference) {
+            this.scopeReference.style.display = type === 'reference' ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Re-runs the current search, e.g. after the scope changes
+     */
+    rerunSearch() {
+        if (this.searchTerm.length >= 2) {
+            this.handleSearchInput(this.searchTerm);
+        }
+    }
+
+    /**
+     * Shows a query parse error in place of the result count
+     */
+    showSearchError(message) {
+        this.searchResults.classList.add('search-error');
+        this.searchResults.textContent = message;
+        this.setMatchNavigationDisabled(true);
+        this.clearCrossRefs();
+        this.updateBookCounts();
+        this.matchResultsList.clear();
+    }
+
+    getQueryOptions() {
+        return {
+            caseSensitive: !!this.caseToggle?.checked,
+            wholeWord: !!this.wholeWordToggle?.checked
+        };
     }
 
     handleNextMatch() {
@@ -174,13 +419,65 @@ export class SearchControls {
         }
     }
 
+    handlePreviousMatch() {
+        if (this.visualization) {
+            const success = this.isSemanticEnabled()
+                ? this.visualization.jumpToPreviousSemanticMatch()
+                : this.visualization.jumpToPreviousMatch();
+            if (success) {
+                this.updateSearchResults();
+            }
+        }
+    }
+
+    handleFirstMatch() {
+        this.handleMatchNumber(1);
+    }
+
+    handleLastMatch() {
+        if (!this.visualization) return;
+        const count = this.isSemanticEnabled()
+            ? this.visualization.getSemanticResultCount()
+            : this.visualization.getSearchResultCount();
+        this.handleMatchNumber(count);
+    }
+
+    /**
+     * Jumps to a match by its 1-based number in the current result set
+     */
+    handleMatchNumber(matchNumber) {
+        if (!this.visualization || !Number.isFinite(matchNumber)) return;
+        const success = this.isSemanticEnabled()
+            ? this.visualization.jumpToSemanticMatchNumber(matchNumber)
+            : this.visualization.jumpToMatchNumber(matchNumber);
+        if (success) {
+            this.updateSearchResults();
+        }
+    }
+
+    setMatchNavigationDisabled(disabled) {
+        [this.nextMatchBtn, this.prevMatchBtn, this.firstMatchBtn, this.lastMatchBtn, this.matchNumberInput]
+            .forEach((element) => {
+                if (element) {
+                    element.disabled = disabled;
+                }
+            });
+    }
+
+    focus() {
+        this.searchInput.focus();
+        this.searchInput.select();
+    }
+
     handleSemanticToggle() {
         this.updateSemanticAvailability();
         this.visualization?.clearSearch();
+        this.matchResultsList.clear();
+        this.searchResults.classList.remove('search-error');
         this.searchResults.textContent = this.searchTerm.length > 0
             ? 'Enter at least 2 characters to search'
             : '';
-        this.nextMatchBtn.disabled = true;
+        this.setMatchNavigationDisabled(true);
         if (this.isSemanticEnabled() && this.searchTerm.length >= 2) {
             this.handleSemanticSearchInput();
         }
@@ -192,6 +489,13 @@ export class SearchControls {
         if (this.semanticThresholdContainer) {
             this.semanticThresholdContainer.style.display = this.isSemanticEnabled() ? 'block' : 'none';
         }
+        this.updateLexicalOptionsVisibility();
+    }
+
+    updateLexicalOptionsVisibility() {
+        if (this.lexicalOptions) {
+            this.lexicalOptions.style.display = this.isSemanticEnabled() ? 'none' : 'flex';
+        }
     }
 
     handleSemanticSearchInput() {
@@ -204,21 +508,29 @@ export class SearchControls {
             this.searchResults.textContent = this.searchTerm.length > 0
                 ? 'Enter at least 2 characters to search'
                 : '';
-            this.nextMatchBtn.disabled = true;
+            this.setMatchNavigationDisabled(true);
             this.updateSemanticStatus();
             return;
         }
 
+        this.searchResults.classList.remove('search-error');
         this.searchResults.textContent = 'Searching...';
-        this.nextMatchBtn.disabled = true;
+        this.setMatchNavigationDisabled(true);
 
         this.semanticSearchTimer = setTimeout(async () => {
             const thresholdValue = this.semanticThreshold?.value;
             const minScore = thresholdValue && thresholdValue !== '' ? parseFloat(thresholdValue) : null;
-            const result = await this.visualization.searchSemantic(this.searchTerm, null, minScore);
+            const result = this.isHybridEnabled()
+                ? await this.visualization.searchHybrid(this.searchTerm, minScore, this.getScope())
+                : await this.visualization.searchSemantic(this.searchTerm, null, minScore, this.getScope());
+            if (result?.status === 'error') {
+                this.showSearchError(result.message);
+                this.updateSemanticResultsList();
+                return;
+            }
             if (result?.status && result.status !== 'ready') {
                 this.searchResults.textContent = result.message || 'Semantic search unavailable';
-                this.nextMatchBtn.disabled = true;
+                this.setMatchNavigationDisabled(true);
                 this.updateSemanticStatus();
                 this.updateCrossRefs();
                 this.updateSemanticResultsList();
@@ -227,6 +539,7 @@ export class SearchControls {
             this.updateSemanticStatus();
             this.updateSearchResults();
             this.updateSemanticResultsList();
+            this.notifySearchCompleted(result.count);
         }, 300);
     }
 
@@ -234,7 +547,8 @@ export class SearchControls {
         this.searchInput.value = '';
         this.searchTerm = '';
         this.searchResults.textContent = '';
-        this.nextMatchBtn.disabled = true;
+        this.searchResults.classList.remove('search-error');
+        this.setMatchNavigationDisabled(true);
         if (this.semanticSearchTimer) {
             clearTimeout(this.semanticSearchTimer);
         }
@@ -244,10 +558,76 @@ export class SearchControls {
         this.updateSemanticStatus();
         this.clearCrossRefs();
         this.clearSemanticResults();
+        this.matchResultsList.clear();
+        if (this.bookCounts) {
+            this.bookCounts.innerHTML = '';
+        }
+    }
+
+    /**
+     * Gets the serializable search state (term, mode and threshold)
+     */
+    getState() {
+        const thresholdValue = this.semanticThreshold?.value;
+        const threshold = thresholdValue && thresholdValue !== '' ? parseFloat(thresholdValue) : null;
+        return {
+            term: this.searchTerm,
+            semantic: this.isSemanticEnabled(),
+            hybrid: this.isHybridEnabled(),
+            threshold: Number.isFinite(threshold) ? threshold : null,
+            scope: this.getScope(),
+            ...this.getQueryOptions()
+        };
+    }
+
+    /**
+     * Restores a search state and re-runs the search against the current visualization
+     */
+    applyState({ term = '', semantic = false, hybrid = false, threshold = null, caseSensitive = false, wholeWord = false, scope = null }) {
+        if (this.semanticToggle && !this.semanticToggle.disabled) {
+            this.semanticToggle.checked = !!semantic;
+        }
+        if (this.hybridToggle) {
+            this.hybridToggle.checked = !!hybrid;
+        }
+        if (this.semanticThreshold && threshold !== null) {
+            this.semanticThreshold.value = threshold;
+        }
+        if (this.caseToggle) {
+            this.caseToggle.checked = !!caseSensitive;
+        }
+        if (this.wholeWordToggle) {
+            this.wholeWordToggle.checked = !!wholeWord;
+        }
+        if (this.semanticThresholdContainer) {
+            this.semanticThresholdContainer.style.display = this.isSemanticEnabled() ? 'block' : 'none';
+        }
+        this.updateLexicalOptionsVisibility();
+        this.setScope(scope);
+
+        this.searchInput.value = term;
+        this.updateSemanticStatus();
+        this.handleSearchInput(term.trim());
+    }
+
+    notifyStateChange() {
+        window.dispatchEvent(new CustomEvent('search-state-changed', {
+            detail: this.getState()
+        }));
+    }
+
+    /**
+     * Announces a search that ran successfully, with its state and result count
+     */
+    notifySearchCompleted(count) {
+        window.dispatchEvent(new CustomEvent('search-completed', {
+            detail: { ...this.getState(), count }
+        }));
     }
 
     setVisualization(visualization) {
         this.visualization = visualization;
+        this.matchResultsList.setVisualization(visualization);
         this.updateSemanticAvailability();
         this.updateSemanticStatus();
     }
@@ -256,6 +636,13 @@ export class SearchControls {
         return !!this.semanticToggle?.checked;
     }
 
+    /**
+     * Hybrid search is a variant of semantic search that also ranks keyword matches
+     */
+    isHybridEnabled() {
+        return this.isSemanticEnabled() && !!this.hybridToggle?.checked;
+    }
+
     updateSemanticAvailability() {
         if (!this.semanticToggle || !this.visualization) return;
         const supported = this.visualization.isSemanticSearchSupported();
@@ -321,12 +708,14 @@ export class SearchControls {
             return;
         }
 
+        // Hybrid results keep their fused order; their shown score is still cosine similarity
         const sorted = scores
             .slice()
-            .sort((a, b) => b.score - a.score);
+            .sort((a, b) => (b.fusedScore ?? b.score) - (a.fusedScore ?? a.score));
 
         if (this.semanticResultsStatus) {
-            this.semanticResultsStatus.textContent = `Showing ${sorted.length} semantic result${sorted.length !== 1 ? 's' : ''}`;
+            const kind = this.isHybridEnabled() ? 'hybrid' : 'semantic';
+            this.semanticResultsStatus.textContent = `Showing ${sorted.length} ${kind} result${sorted.length !== 1 ? 's' : ''}`;
         }
 
         if (this.semanticResultsList) {
@@ -339,6 +728,7 @@ export class SearchControls {
                             <span class="semantic-result-ref">${verseInfo.reference}</span>
                             <span class="semantic-result-score">${entry.score.toFixed(3)}</span>
                         </div>
+                        ${entry.signals ? this.formatHybridSignals(entry.signals) : ''}
                         <div class="semantic-result-text">${safeText}</div>
                     </div>
                 `;
@@ -346,6 +736,21 @@ export class SearchControls {
         }
     }
 
+    /**
+     * Shows which signals found a hybrid result, with its rank and raw score in each
+     */
+    formatHybridSignals(signals) {
+        const badge = (name, label, signal, digits) => (signal
+            ? `<span class="hybrid-signal ${name}" title="${label} rank ${signal.rank}, score ${signal.score.toFixed(digits)}">${label} #${signal.rank}</span>`
+            : `<span class="hybrid-signal ${name} missing" title="Not found by ${label.toLowerCase()} search">${label} –</span>`);
+        return `
+            <div class="hybrid-signals">
+                ${badge('lexical', 'Keyword', signals.lexical, 2)}
+                ${badge('semantic', 'Semantic', signals.semantic, 3)}
+            </div>
+        `;
+    }
+
     async updateCrossRefs() {
         if (!this.visualization || !this.crossRefContainer) return;
 
@@ -0,0 +1,178 @@
+import { formatCitation, formatSelectionLabel } from '../utils/citation.js';
+
+const COPY_FEEDBACK_DURATION = 1500;
+
+/**
+ * Drag-selection of verses or character ranges on the canvas and copying
+ * the selection as text, Markdown or a citation.
+ * Shift+drag always selects; the Select toggle makes plain drags select (for touch).
+ */
+export class SelectionControls {
+    constructor(app, visualization) {
+        this.app = app;
+        this.visualization = visualization;
+        this.selectModeBtn = document.getElementById('select-mode');
+        this.granularitySelect = document.getElementById('selection-granularity');
+        this.status = document.getElementById('selection-status');
+        this.actions = document.getElementById('selection-actions');
+        this.clearBtn = document.getElementById('clear-selection');
+
+        this.selectMode = false;
+        this.drag = null;
+        this.lastRange = null;
+        this.copyResetTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        const canvas = this.getCanvas();
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+        this.selectModeBtn.addEventListener('click', () => {
+            this.setSelectMode(!this.selectMode);
+        });
+
+        this.granularitySelect.addEventListener('change', () => {
+            // Re-apply the last drag with the new granularity
+            if (this.lastRange && this.visualization) {
+                this.visualization.setSelection(this.lastRange.anchor, this.lastRange.focus, this.getGranularity());
+                this.updateStatus();
+            }
+        });
+
+        this.actions.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-copy-format]');
+            if (button) {
+                this.copySelection(button.getAttribute('data-copy-format'), button);
+            }
+        });
+
+        this.clearBtn.addEventListener('click', () => this.clear());
+
+        // Ctrl/Cmd+C copies the canvas selection unless the page has a text selection of its own
+        document.addEventListener('copy', (e) => {
+            const activeTag = document.activeElement?.tagName;
+            if (activeTag === 'INPUT' || activeTag === 'TEXTAREA') return;
+            const pageSelection = window.getSelection?.();
+            if (pageSelection && !pageSelection.isCollapsed) return;
+            const text = this.getSelectionText('text');
+            if (!text) return;
+            e.clipboardData.setData('text/plain', text);
+            e.preventDefault();
+        });
+    }
+
+    getCanvas() {
+        return this.app.canvas || this.app.view;
+    }
+
+    getGranularity() {
+        return this.granularitySelect.value === 'char' ? 'char' : 'verse';
+    }
+
+    setSelectMode(enabled) {
+        this.selectMode = enabled;
+        this.selectModeBtn.classList.toggle('active', enabled);
+        this.selectModeBtn.setAttribute('aria-pressed', String(enabled));
+        this.getCanvas().style.cursor = enabled ? 'text' : '';
+    }
+
+    /**
+     * Starts a selection drag if the pointer should select rather than pan.
+     * Called by ZoomControls before it handles a pointerdown.
+     * @returns {boolean} - Whether the selection claimed the pointer
+     */
+    claimPointer(e) {
+        if (!this.visualization || this.drag || e.button !== 0) return false;
+        if (!this.selectMode && !e.shiftKey) return false;
+
+        const anchor = this.hitTest(e);
+        if (!anchor) return false;
+
+        this.drag = { pointerId: e.pointerId, anchor };
+        this.getCanvas().setPointerCapture?.(e.pointerId);
+        this.lastRange = { anchor, focus: anchor };
+        this.visualization.setSelection(anchor, anchor, this.getGranularity());
+        this.updateStatus();
+        return true;
+    }
+
+    hitTest(e) {
+        const rect = this.getCanvas().getBoundingClientRect();
+        return this.visualization.hitTest(e.clientX - rect.left, e.clientY - rect.top, { clamp: true });
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId || !this.visualization) return;
+
+        const focus = this.hitTest(e);
+        if (!focus) return;
+        this.lastRange = { anchor: this.drag.anchor, focus };
+        this.visualization.setSelection(this.drag.anchor, focus, this.getGranularity());
+        this.updateStatus();
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+        this.drag = null;
+        this.getCanvas().releasePointerCapture?.(e.pointerId);
+    }
+
+    getSelectionText(format) {
+        if (!this.visualization || !this.visualization.getSelection()) return '';
+        return formatCitation(this.visualization.getSelectedVerses(), format);
+    }
+
+    updateStatus() {
+        const verses = this.visualization?.getSelection() ? this.visualization.getSelectedVerses() : [];
+        if (verses.length === 0) {
+            this.status.textContent = '';
+            this.actions.style.display = 'none';
+            return;
+        }
+
+        this.status.textContent = `${formatSelectionLabel(verses)} (${verses.length} verse${verses.length !== 1 ? 's' : ''})`;
+        this.actions.style.display = 'flex';
+    }
+
+    async copySelection(format, button) {
+        const text = this.getSelectionText(format);
+        if (!text) return;
+
+        // Keep the original label so repeated clicks never restore "Copied!"
+        button.dataset.label ??= button.textContent;
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Copy failed:', error);
+            button.textContent = 'Copy failed';
+        }
+
+        clearTimeout(this.copyResetTimer);
+        this.copyResetTimer = setTimeout(() => {
+            for (const copyButton of this.actions.querySelectorAll('[data-label]')) {
+                copyButton.textContent = copyButton.dataset.label;
+            }
+        }, COPY_FEEDBACK_DURATION);
+    }
+
+    clear() {
+        this.drag = null;
+        this.lastRange = null;
+        if (this.visualization) {
+            this.visualization.clearSelection();
+        }
+        this.updateStatus();
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.drag = null;
+        this.lastRange = null;
+        this.updateStatus();
+    }
+}
@@ -0,0 +1,348 @@
+import { GESTURE_CONFIG, INSPECTOR_CONFIG, ANNOTATION_CONFIG } from '../config.js';
+import { escapeHtml, toCssColor } from '../utils/html.js';
+
+/**
+ * Hover tooltips for the verse under the pointer and a detail panel
+ * (copy reference, annotations, neighboring verses, cross-references) for a clicked verse
+ */
+export class VerseInspector {
+    constructor(app, visualization, annotationStore) {
+        this.app = app;
+        this.visualization = visualization;
+        this.annotationStore = annotationStore;
+        this.tooltip = document.getElementById('verse-tooltip');
+        this.panel = document.getElementById('verse-detail-panel');
+        this.referenceLabel = document.getElementById('verse-detail-reference');
+        this.closeButton = document.getElementById('verse-detail-close');
+        this.textElement = document.getElementById('verse-detail-text');
+        this.copyButton = document.getElementById('verse-detail-copy');
+        this.gotoButton = document.getElementById('verse-detail-goto');
+        this.neighborsList = document.getElementById('verse-detail-neighbors');
+        this.crossRefStatus = document.getElementById('verse-detail-crossref-status');
+        this.crossRefLoadButton = document.getElementById('verse-detail-crossref-load');
+        this.crossRefList = document.getElementById('verse-detail-crossrefs');
+        this.annotationColors = document.getElementById('verse-annotation-colors');
+        this.bookmarkButton = document.getElementById('verse-annotation-bookmark');
+        this.noteInput = document.getElementById('verse-annotation-note');
+
+        this.hoverPoint = null;
+        this.hoverFrame = null;
+        this.hoveredVerseIndex = -1;
+        this.press = null;
+        this.inspectedVerseIndex = -1;
+        this.crossRefRequest = 0;
+        this.copyResetTimer = null;
+
+        this.renderColorSwatches();
+        this.setupEventListeners();
+    }
+
+    renderColorSwatches() {
+        const swatches = ANNOTATION_CONFIG.colors.map((color) => `
+            <button class="annotation-swatch" data-color="${color}" style="background: ${toCssColor(color)};" title="Highlight"></button>
+        `);
+        swatches.push('<button class="annotation-swatch annotation-swatch-none" data-color="none" title="Remove highlight">&times;</button>');
+        this.annotationColors.innerHTML = swatches.join('');
+    }
+
+    setupEventListeners() {
+        const canvas = this.app.canvas || this.app.view;
+
+        canvas.addEventListener('pointermove', (e) => {
+            // No tooltips while dragging or on touch, where hover does not exist
+            if (e.buttons !== 0 || e.pointerType === 'touch') {
+                this.hideTooltip();
+                return;
+            }
+            this.hoverPoint = { clientX: e.clientX, clientY: e.clientY };
+            this.scheduleHover();
+        });
+        canvas.addEventListener('pointerleave', () => {
+            this.hoverPoint = null;
+            this.hideTooltip();
+        });
+
+        canvas.addEventListener('pointerdown', (e) => {
+            this.hideTooltip();
+            // A second pointer means a pinch, not a click
+            const isClickStart = !this.press && e.button === 0;
+            this.press = isClickStart
+                ? { pointerId: e.pointerId, clientX: e.clientX, clientY: e.clientY }
+                : null;
+        });
+        canvas.addEventListener('pointerup', (e) => {
+            const press = this.press;
+            this.press = null;
+            if (!press || press.pointerId !== e.pointerId) return;
+            if (Math.hypot(e.clientX - press.clientX, e.clientY - press.clientY) > GESTURE_CONFIG.tapMoveTolerance) return;
+
+            const hit = this.hitTestClientPoint(e.clientX, e.clientY);
+            if (hit && hit.verseIndex >= 0) {
+                this.inspect(hit.verseIndex);
+            }
+        });
+        canvas.addEventListener('pointercancel', () => {
+            this.press = null;
+        });
+
+        // The text under a resting pointer changes when the view moves
+        window.addEventListener('visualization-view-changed', () => {
+            if (this.hoverPoint) {
+                this.scheduleHover();
+            }
+        });
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.copyButton.addEventListener('click', () => this.copyReference());
+        this.gotoButton.addEventListener('click', () => {
+            if (this.visualization && this.inspectedVerseIndex >= 0) {
+                this.visualization.jumpToVerse(this.inspectedVerseIndex);
+            }
+        });
+        this.crossRefLoadButton.addEventListener('click', () => this.loadCrossReferences());
+
+        this.annotationColors.addEventListener('click', (event) => {
+            const swatch = event.target.closest('[data-color]');
+            if (!swatch) return;
+            const value = swatch.getAttribute('data-color');
+            this.updateAnnotation({ color: value === 'none' ? null : Number(value) });
+        });
+        this.bookmarkButton.addEventListener('click', () => {
+            const annotation = this.getInspectedAnnotation();
+            this.updateAnnotation({ bookmarked: !annotation?.bookmarked });
+        });
+        // 'change' fires when the textarea loses focus after an edit
+        this.noteInput.addEventListener('change', () => {
+            this.updateAnnotation({ note: this.noteInput.value.trim() });
+        });
+
+        window.addEventListener('annotations-changed', () => {
+            if (this.inspectedVerseIndex >= 0) {
+                this.renderAnnotationControls();
+            }
+        });
+
+        const handleVerseClick = (event) => {
+            const target = event.target.closest('[data-verse-index]');
+            if (!target || !this.visualization) return;
+            const verseIndex = Number(target.getAttribute('data-verse-index'));
+            if (Number.isFinite(verseIndex)) {
+                this.visualization.jumpToVerse(verseIndex);
+                this.inspect(verseIndex);
+            }
+        };
+        this.neighborsList.addEventListener('click', handleVerseClick);
+        this.crossRefList.addEventListener('click', handleVerseClick);
+    }
+
+    hitTestClientPoint(clientX, clientY) {
+        if (!this.visualization) return null;
+        const rect = (this.app.canvas || this.app.view).getBoundingClientRect();
+        return this.visualization.hitTest(clientX - rect.left, clientY - rect.top);
+    }
+
+    scheduleHover() {
+        if (this.hoverFrame !== null) return;
+        this.hoverFrame = requestAnimationFrame(() => {
+            this.hoverFrame = null;
+            this.updateTooltip();
+        });
+    }
+
+    updateTooltip() {
+        if (!this.hoverPoint) return;
+
+        const { clientX, clientY } = this.hoverPoint;
+        const hit = this.hitTestClientPoint(clientX, clientY);
+        if (!hit || hit.verseIndex < 0 || !this.visualization.getVerseReference(hit.verseIndex)) {
+            this.hideTooltip();
+            return;
+        }
+
+        if (hit.verseIndex !== this.hoveredVerseIndex) {
+            this.hoveredVerseIndex = hit.verseIndex;
+            const { reference, text } = this.visualization.getVerseInfo(hit.verseIndex);
+            this.tooltip.innerHTML = `
+                <div class="verse-tooltip-ref">${escapeHtml(reference)}</div>
+                <div class="verse-tooltip-text">${escapeHtml(text)}</div>
+            `;
+        }
+
+        this.tooltip.style.display = 'block';
+        this.positionTooltip(clientX, clientY);
+    }
+
+    /**
+     * Places the tooltip beside the pointer, flipping sides near the window edges
+     */
+    positionTooltip(clientX, clientY) {
+        const offset = INSPECTOR_CONFIG.tooltipOffset;
+        const { offsetWidth: width, offsetHeight: height } = this.tooltip;
+        const left = clientX + offset + width > window.innerWidth ? clientX - offset - width : clientX + offset;
+        const top = clientY + offset + height > window.innerHeight ? clientY - offset - height : clientY + offset;
+        this.tooltip.style.left = `${Math.max(0, left)}px`;
+        this.tooltip.style.top = `${Math.max(0, top)}px`;
+    }
+
+    hideTooltip() {
+        this.hoveredVerseIndex = -1;
+        this.tooltip.style.display = 'none';
+    }
+
+    /**
+     * Opens the detail panel for a verse
+     * @param {number} verseIndex
+     */
+    inspect(verseIndex) {
+        if (!this.visualization) return;
+        const reference = this.visualization.getVerseReference(verseIndex);
+        if (!reference) return;
+
+        this.inspectedVerseIndex = verseIndex;
+        const { reference: label, text } = this.visualization.getVerseInfo(verseIndex);
+        this.referenceLabel.textContent = label;
+        this.textElement.textContent = text;
+        this.copyButton.textContent = 'Copy reference';
+        this.renderNeighbors(verseIndex);
+        this.renderAnnotationControls();
+        this.panel.style.display = 'block';
+
+        this.crossRefRequest++;
+        this.crossRefList.innerHTML = '';
+        if (this.visualization.getSemanticStatus().status === 'ready') {
+            this.loadCrossReferences();
+        } else {
+            this.crossRefStatus.textContent = 'Uses the semantic index.';
+            this.crossRefLoadButton.style.display = 'inline-block';
+        }
+    }
+
+    getInspectedVerseMeta() {
+        if (!this.visualization || this.inspectedVerseIndex < 0) return null;
+        return this.visualization.getVerseMetaList()[this.inspectedVerseIndex] || null;
+    }
+
+    getInspectedAnnotation() {
+        if (!this.visualization || this.inspectedVerseIndex < 0) return null;
+        return this.annotationStore.get(this.visualization.getVerseInfo(this.inspectedVerseIndex).reference);
+    }
+
+    async updateAnnotation(changes) {
+        const meta = this.getInspectedVerseMeta();
+        if (!meta || meta.kind !== 'verse') return;
+        await this.annotationStore.update(meta, changes);
+    }
+
+    renderAnnotationControls() {
+        const annotation = this.getInspectedAnnotation();
+        for (const swatch of this.annotationColors.querySelectorAll('[data-color]')) {
+            const value = swatch.getAttribute('data-color');
+            const color = annotation?.color ?? null;
+            const isActive = value === 'none' ? color === null : Number(value) === color;
+            swatch.classList.toggle('active', isActive);
+        }
+        const bookmarked = Boolean(annotation?.bookmarked);
+        this.bookmarkButton.classList.toggle('active', bookmarked);
+        this.bookmarkButton.textContent = bookmarked ? '★ Bookmarked' : '☆ Bookmark';
+        // Don't clobber a note the user is still typing
+        if (document.activeElement !== this.noteInput) {
+            this.noteInput.value = annotation?.note || '';
+        }
+    }
+
+    /**
+     * Lists the verses just before and after, skipping chapter headings and blank lines
+     */
+    renderNeighbors(verseIndex) {
+        const verseMeta = this.visualization.getVerseMetaList();
+        const neighbors = [];
+        const count = INSPECTOR_CONFIG.neighborCount;
+
+        const before = [];
+        for (let index = verseIndex - 1; index >= 0 && before.length < count; index--) {
+            if (verseMeta[index]?.kind === 'verse') before.unshift(index);
+        }
+        neighbors.push(...before);
+        for (let index = verseIndex + 1; index < verseMeta.length && neighbors.length < before.length + count; index++) {
+            if (verseMeta[index]?.kind === 'verse') neighbors.push(index);
+        }
+
+        this.neighborsList.innerHTML = neighbors.map((neighborIndex) => {
+            const { reference, text } = this.visualization.getVerseInfo(neighborIndex);
+            const position = neighborIndex < verseIndex ? 'Previous' : 'Next';
+            return `
+                <div class="verse-detail-item" data-verse-index="${neighborIndex}" title="${position} verse">
+                    <div class="verse-detail-item-ref">${escapeHtml(reference)}</div>
+                    <div class="verse-detail-item-text">${escapeHtml(text)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async loadCrossReferences() {
+        if (!this.visualization || this.inspectedVerseIndex < 0) return;
+
+        const request = ++this.crossRefRequest;
+        this.crossRefLoadButton.style.display = 'none';
+        this.crossRefStatus.textContent = 'Finding related verses...';
+
+        const result = await this.visualization.getCrossReferencesForVerse(
+            this.inspectedVerseIndex,
+            INSPECTOR_CONFIG.crossRefMinScore,
+            INSPECTOR_CONFIG.crossRefLimit
+        );
+        // A newer verse was inspected while this one was loading
+        if (request !== this.crossRefRequest) return;
+
+        if (!result || result.status !== 'ready') {
+            this.crossRefStatus.textContent = result?.message || 'Cross-references unavailable.';
+            this.crossRefList.innerHTML = '';
+            return;
+        }
+
+        const refs = result.refs.filter((ref) => ref.verseIndex !== this.inspectedVerseIndex);
+        this.crossRefStatus.textContent = refs.length > 0
+            ? `Top ${refs.length} related verses`
+            : 'No cross-references above threshold.';
+        this.crossRefList.innerHTML = refs.map((ref) => `
+            <div class="verse-detail-item" data-verse-index="${ref.verseIndex}">
+                <div>
+                    <span class="verse-detail-item-ref">${escapeHtml(ref.reference)}</span>
+                    <span class="verse-detail-item-score">${ref.score.toFixed(3)}</span>
+                </div>
+                <div class="verse-detail-item-text">${escapeHtml(ref.text)}</div>
+            </div>
+        `).join('');
+    }
+
+    async copyReference() {
+        if (!this.visualization || this.inspectedVerseIndex < 0) return;
+
+        const { reference } = this.visualization.getVerseInfo(this.inspectedVerseIndex);
+        try {
+            await navigator.clipboard.writeText(reference);
+            this.copyButton.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.copyButton.textContent = 'Copy failed';
+        }
+
+        clearTimeout(this.copyResetTimer);
+        this.copyResetTimer = setTimeout(() => {
+            this.copyButton.textContent = 'Copy reference';
+        }, INSPECTOR_CONFIG.copyFeedbackDuration);
+    }
+
+    close() {
+        this.crossRefRequest++;
+        this.inspectedVerseIndex = -1;
+        this.panel.style.display = 'none';
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+        this.press = null;
+        this.hideTooltip();
+        this.close();
+    }
+}
@@ -1,7 +1,7 @@
-import { ZOOM_CONFIG } from '../config.js';
+import { ZOOM_CONFIG, GESTURE_CONFIG } from '../config.js';
 
 /**
- * Manages zoom controls and mouse interactions
+ * Manages zoom controls and pointer interactions (mouse, touch, pen and trackpad)
  */
 export class ZoomControls {
     constructor(app, visualization) {
@@ -11,12 +11,18 @@ export class ZoomControls {
         this.zoomOutBtn = document.getElementById('zoom-out');
         this.resetZoomBtn = document.getElementById('reset-zoom');
         this.zoomLevelDisplay = document.getElementById('zoom-level');
-        
+
         this.mouseX = 0;
         this.mouseY = 0;
-        this.isDragging = false;
-        this.lastMouseX = 0;
-        this.lastMouseY = 0;
+
+        // Active pointers by pointerId -> { x, y } in canvas coordinates
+        this.pointers = new Map();
+        this.pinch = null;
+        this.velocitySamples = [];
+        this.momentumFrame = null;
+        this.tapStart = null;
+        this.lastTap = null;
+        this.pointerClaimHandler = null;
 
         this.setupEventListeners();
     }
@@ -27,13 +33,14 @@ export class ZoomControls {
         this.zoomOutBtn.addEventListener('click', () => this.handleZoomOut());
         this.resetZoomBtn.addEventListener('click', () => this.handleResetZoom());
 
-        // Mouse wheel zoom
-        const canvas = this.app.canvas || this.app.view;
-        canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        canvas.addEventListener('wheel', (e) => this.handleWheel(e));
-        canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        canvas.addEventListener('mouseup', () => this.handleMouseUp());
-        canvas.addEventListener('mouseleave', () => this.handleMouseUp());
+        // Pointer events cover mouse, touch and pen; the browser must not pan or zoom the page itself
+        const canvas = this.getCanvas();
+        canvas.style.touchAction = 'none';
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e, true));
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
 
         // Listen for zoom changes from highlight clicks
         window.addEventListener('visualization-zoom-changed', (e) => {
@@ -41,9 +48,22 @@ export class ZoomControls {
         });
     }
 
+    getCanvas() {
+        return this.app.canvas || this.app.view;
+    }
+
+    getCanvasPoint(e) {
+        const rect = this.getCanvas().getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    clampZoom(zoom) {
+        return Math.max(ZOOM_CONFIG.min, Math.min(ZOOM_CONFIG.max, zoom));
+    }
+
     handleZoomIn() {
         if (!this.visualization) return;
-        
+
         const currentZoom = this.visualization.getZoom();
         const newZoom = Math.min(currentZoom * ZOOM_CONFIG.step, ZOOM_CONFIG.max);
         this.visualization.setZoom(newZoom, this.mouseX || null, this.mouseY || null);
@@ -52,7 +72,7 @@ export class ZoomControls {
 
     handleZoomOut() {
         if (!this.visualization) return;
-        
+
         const currentZoom = this.visualization.getZoom();
         const newZoom = Math.max(currentZoom / ZOOM_CONFIG.step, ZOOM_CONFIG.min);
         this.visualization.setZoom(newZoom, this.mouseX || null, this.mouseY || null);
@@ -61,62 +81,228 @@ export class ZoomControls {
 
     handleResetZoom() {
         if (!this.visualization) return;
-        
-        const initialZoom = this.visualization.getInitialZoom();
-        this.visualization.setZoom(initialZoom);
-        this.visualization.resetView();
-        this.updateZoomDisplay(initialZoom);
-    }
-
-    handleMouseMove(e) {
-        const canvas = this.app.canvas || this.app.view;
-        const rect = canvas.getBoundingClientRect();
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
-
-        if (this.isDragging && this.visualization) {
-            const dx = e.clientX - this.lastMouseX;
-            const dy = e.clientY - this.lastMouseY;
-            this.visualization.pan(dx, dy);
-            this.lastMouseX = e.clientX;
-            this.lastMouseY = e.clientY;
+
+        this.stopMomentum();
+        this.visualization.resetView(this.visualization.getInitialZoom());
+    }
+
+    /**
+     * Lets another control (e.g. drag-selection) take a pointer before it pans
+     * @param {Function|null} handler - (event) => boolean, true when it claims the pointer
+     */
+    setPointerClaimHandler(handler) {
+        this.pointerClaimHandler = handler;
+    }
+
+    handlePointerDown(e) {
+        this.stopMomentum();
+        if (this.pointers.size === 0 && this.pointerClaimHandler?.(e)) return;
+
+        const point = this.getCanvasPoint(e);
+        this.mouseX = point.x;
+        this.mouseY = point.y;
+        this.pointers.set(e.pointerId, point);
+        this.getCanvas().setPointerCapture?.(e.pointerId);
+
+        if (this.pointers.size === 1) {
+            this.tapStart = { x: point.x, y: point.y, time: performance.now() };
+            this.velocitySamples = [{ x: point.x, y: point.y, time: performance.now() }];
+        } else {
+            // A second finger turns the gesture into a pinch and cancels any tap
+            this.tapStart = null;
+            this.startPinch();
         }
     }
 
-    handleWheel(e) {
-        e.preventDefault();
-        
+    handlePointerMove(e) {
+        const point = this.getCanvasPoint(e);
+        this.mouseX = point.x;
+        this.mouseY = point.y;
+
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous || !this.visualization) return;
+        this.pointers.set(e.pointerId, point);
+
+        if (this.pinch) {
+            this.updatePinch();
+            return;
+        }
+
+        this.visualization.pan(point.x - previous.x, point.y - previous.y);
+        this.recordVelocitySample(point);
+
+        if (this.tapStart && Math.hypot(point.x - this.tapStart.x, point.y - this.tapStart.y) > GESTURE_CONFIG.tapMoveTolerance) {
+            this.tapStart = null;
+        }
+    }
+
+    handlePointerUp(e, cancelled = false) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        this.getCanvas().releasePointerCapture?.(e.pointerId);
+
+        if (this.pinch) {
+            if (this.pointers.size >= 2) {
+                this.startPinch();
+            } else {
+                // Continue panning with the remaining finger without a jump
+                this.pinch = null;
+                this.velocitySamples = [];
+            }
+            return;
+        }
+
+        if (this.pointers.size > 0 || cancelled) return;
+
+        if (this.tapStart) {
+            this.handleTap(this.tapStart);
+            this.tapStart = null;
+            return;
+        }
+
+        const velocity = this.getReleaseVelocity();
+        if (velocity) {
+            this.startMomentum(velocity.x, velocity.y);
+        }
+    }
+
+    /**
+     * Zooms in around the tap point when two taps land close together in time and space
+     */
+    handleTap(tap) {
+        const lastTap = this.lastTap;
+        this.lastTap = tap;
+        if (!lastTap || !this.visualization) return;
+
+        const isDoubleTap = tap.time - lastTap.time <= GESTURE_CONFIG.doubleTapDelay
+            && Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) <= GESTURE_CONFIG.doubleTapDistance;
+        if (!isDoubleTap) return;
+
+        this.lastTap = null;
+        const newZoom = this.clampZoom(this.visualization.getZoom() * ZOOM_CONFIG.step);
+        this.visualization.setZoom(newZoom, tap.x, tap.y);
+        this.updateZoomDisplay(newZoom);
+    }
+
+    getPinchGeometry() {
+        const [a, b] = Array.from(this.pointers.values());
+        return {
+            centerX: (a.x + b.x) / 2,
+            centerY: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y))
+        };
+    }
+
+    startPinch() {
         if (!this.visualization) return;
+        const geometry = this.getPinchGeometry();
+        this.pinch = {
+            ...geometry,
+            startDistance: geometry.distance,
+            startZoom: this.visualization.getZoom()
+        };
+    }
 
-        const canvas = this.app.canvas || this.app.view;
-        const rect = canvas.getBoundingClientRect();
-        const pointerX = e.clientX - rect.left;
-        const pointerY = e.clientY - rect.top;
+    /**
+     * Zooms around the centroid of the two fingers and pans with the centroid's movement
+     */
+    updatePinch() {
+        const geometry = this.getPinchGeometry();
+        const newZoom = this.clampZoom(this.pinch.startZoom * (geometry.distance / this.pinch.startDistance));
 
-        const delta = e.deltaY > 0 ? 0.9 : 1.1;
-        const currentZoom = this.visualization.getZoom();
-        const newZoom = Math.max(
-            ZOOM_CONFIG.min,
-            Math.min(ZOOM_CONFIG.max, currentZoom * delta)
-        );
-        
-        this.visualization.setZoom(newZoom, pointerX, pointerY);
+        this.visualization.pan(geometry.centerX - this.pinch.centerX, geometry.centerY - this.pinch.centerY);
+        this.visualization.setZoom(newZoom, geometry.centerX, geometry.centerY);
         this.updateZoomDisplay(newZoom);
+
+        this.pinch.centerX = geometry.centerX;
+        this.pinch.centerY = geometry.centerY;
+    }
+
+    recordVelocitySample(point) {
+        const now = performance.now();
+        this.velocitySamples.push({ x: point.x, y: point.y, time: now });
+        while (this.velocitySamples.length > 2 && now - this.velocitySamples[0].time > GESTURE_CONFIG.velocitySampleWindow) {
+            this.velocitySamples.shift();
+        }
     }
 
-    handleMouseDown(e) {
-        this.isDragging = true;
-        this.lastMouseX = e.clientX;
-        this.lastMouseY = e.clientY;
+    /**
+     * Gets the drag velocity (px/ms) over the last few samples, or null if too slow
+     */
+    getReleaseVelocity() {
+        const samples = this.velocitySamples;
+        this.velocitySamples = [];
+        if (samples.length < 2) return null;
 
-        const canvas = this.app.canvas || this.app.view;
-        const rect = canvas.getBoundingClientRect();
-        this.mouseX = e.clientX - rect.left;
-        this.mouseY = e.clientY - rect.top;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.time - first.time;
+        if (elapsed <= 0 || performance.now() - last.time > GESTURE_CONFIG.velocitySampleWindow) {
+            return null;
+        }
+
+        const velocity = { x: (last.x - first.x) / elapsed, y: (last.y - first.y) / elapsed };
+        return Math.hypot(velocity.x, velocity.y) >= GESTURE_CONFIG.momentumMinSpeed ? velocity : null;
     }
 
-    handleMouseUp() {
-        this.isDragging = false;
+    /**
+     * Keeps panning after a flick, decaying the velocity each frame
+     */
+    startMomentum(velocityX, velocityY) {
+        this.stopMomentum();
+        let vx = velocityX;
+        let vy = velocityY;
+        let lastTime = performance.now();
+
+        const step = (now) => {
+            const elapsed = Math.min(now - lastTime, 50);
+            lastTime = now;
+            // A camera transition that started mid-flick takes over the view
+            if (!this.visualization || this.visualization.isCameraAnimating()) {
+                this.momentumFrame = null;
+                return;
+            }
+
+            this.visualization.pan(vx * elapsed, vy * elapsed);
+            const decay = Math.pow(GESTURE_CONFIG.momentumFriction, elapsed / 16);
+            vx *= decay;
+            vy *= decay;
+
+            if (Math.hypot(vx, vy) < GESTURE_CONFIG.momentumMinSpeed) {
+                this.momentumFrame = null;
+                return;
+            }
+            this.momentumFrame = requestAnimationFrame(step);
+        };
+
+        this.momentumFrame = requestAnimationFrame(step);
+    }
+
+    stopMomentum() {
+        if (this.momentumFrame !== null) {
+            cancelAnimationFrame(this.momentumFrame);
+            this.momentumFrame = null;
+        }
+    }
+
+    handleWheel(e) {
+        e.preventDefault();
+
+        if (!this.visualization) return;
+        this.stopMomentum();
+
+        const { x: pointerX, y: pointerY } = this.getCanvasPoint(e);
+
+        // Trackpad pinch arrives as a ctrlKey wheel with small, continuous deltas;
+        // scale proportionally instead of by a fixed mouse-notch factor
+        const delta = e.ctrlKey
+            ? Math.exp(-e.deltaY * GESTURE_CONFIG.pinchWheelSensitivity)
+            : (e.deltaY > 0 ? 0.9 : 1.1);
+        const currentZoom = this.visualization.getZoom();
+        const newZoom = this.clampZoom(currentZoom * delta);
+
+        this.visualization.setZoom(newZoom, pointerX, pointerY);
+        this.updateZoomDisplay(newZoom);
     }
 
     updateZoomDisplay(zoom) {
@@ -124,6 +310,7 @@ export class ZoomControls {
     }
 
     setVisualization(visualization) {
+        this.stopMomentum();
         this.visualization = visualization;
         if (visualization) {
             this.updateZoomDisplay(visualization.getZoom());
@@ -1,14 +1,25 @@
 import { BOOK_DEFINITIONS } from './bookDefinitions.js';
 import { parseBookOfMormonText } from './utils/verseParser.js';
 
+// Raw text of the last successful load, and its whole-text verse meta once parsed
+let loadedText = null;
+let fullVerseMeta = null;
+
 // Load and parse the Book of Mormon text file
 // filterBookIndex: if >= 0, only load verses from that specific book
 export async function loadBookOfMormon(filterBookIndex = -1) {
     try {
         const response = await fetch('/bom.txt');
+        if (!response.ok) {
+            throw new Error(`Request for bom.txt failed with status ${response.status}`);
+        }
         const text = await response.text();
 
         const { verses, verseMeta, bookMarkers } = parseBookOfMormonText(text, filterBookIndex);
+        if (text !== loadedText) {
+            loadedText = text;
+            fullVerseMeta = filterBookIndex < 0 ? verseMeta : null;
+        }
 
         console.log(
             `Parsed ${verses.length} verses${filterBookIndex >= 0 ? ` (filtered to ${BOOK_DEFINITIONS[filterBookIndex]?.name})` : ''}`
@@ -32,3 +43,12 @@ export async function loadBookOfMormon(filterBookIndex = -1) {
     }
 }
 
+
+// Verse meta for every book, taken from the text already loaded rather than
+// fetched again. Returns null if no text with verses has loaded successfully.
+export function getFullVerseMeta() {
+    if (!fullVerseMeta && loadedText) {
+        fullVerseMeta = parseBookOfMormonText(loadedText, -1).verseMeta;
+    }
+    return fullVerseMeta?.some((meta) => meta.kind === 'verse') ? fullVerseMeta : null;
+}
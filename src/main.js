@@ -5,16 +5,51 @@ import { createVisualization } from './visualization.js';
 import { SearchControls } from './controls/searchControls.js';
 import { ZoomControls } from './controls/zoomControls.js';
 import { BookFilter } from './controls/bookFilter.js';
+import { ReferenceNavigation } from './controls/referenceNavigation.js';
+import { KeyboardShortcuts } from './controls/keyboardShortcuts.js';
+import { Minimap } from './controls/minimap.js';
+import { VerseInspector } from './controls/verseInspector.js';
+import { SelectionControls } from './controls/selectionControls.js';
+import { AnnotationPanel } from './controls/annotationPanel.js';
+import { AnnotationExchange } from './controls/annotationExchange.js';
+import { SavedSearchPanel } from './controls/savedSearchPanel.js';
+import { HighlightLayerControls } from './controls/highlightLayers.js';
+import { HeatmapControls } from './controls/heatmapControls.js';
+import { ScoreColoringControls } from './controls/scoreColoring.js';
+import { DebugOverlay } from './controls/debugOverlay.js';
+import { FontControls } from './controls/fontControls.js';
+import { LayoutControls } from './controls/layoutControls.js';
+import { AnnotationStore } from './utils/annotationStore.js';
+import { SavedSearchStore } from './utils/savedSearches.js';
 import { LoadingIndicator } from './utils/loadingIndicator.js';
 import { BookLegend } from './utils/legend.js';
+import { UrlStateManager } from './utils/urlState.js';
+import { runTextRendererBenchmark } from './utils/textBenchmark.js';
 
 let app;
 let visualization;
 let searchControls;
 let zoomControls;
 let bookFilter;
+let referenceNavigation;
+let keyboardShortcuts;
+let minimap;
+let verseInspector;
+let selectionControls;
+let annotationStore;
+let annotationPanel;
+let annotationExchange;
+let savedSearchStore;
+let savedSearchPanel;
+let highlightLayerControls;
+let heatmapControls;
+let scoreColoringControls;
+let debugOverlay;
+let fontControls;
+let layoutControls;
 let loadingIndicator;
 let bookLegend;
+let urlStateManager;
 
 async function loadAndCreateVisualization(filterBookIndex = -1) {
     // Show loading indicator
@@ -55,7 +90,10 @@ async function loadAndCreateVisualization(filterBookIndex = -1) {
 
     // Create visualization
     const processStart = performance.now();
-    visualization = await createVisualization(text, app, updateLoadingText, bookMarkers, verses, verseMeta);
+    visualization = await createVisualization(text, app, updateLoadingText, bookMarkers, verses, verseMeta, {
+        font: fontControls.getFont(),
+        layout: layoutControls.getLayout()
+    });
     const processTime = performance.now() - processStart;
     console.log(`Visualization created in ${processTime.toFixed(2)}ms`);
 
@@ -74,6 +112,20 @@ async function loadAndCreateVisualization(filterBookIndex = -1) {
 
     // Update controls with new visualization
     searchControls.setVisualization(visualization);
+    referenceNavigation.setVisualization(visualization);
+    keyboardShortcuts.setVisualization(visualization);
+    minimap.setVisualization(visualization);
+    verseInspector.setVisualization(visualization);
+    selectionControls.setVisualization(visualization);
+    annotationPanel.setVisualization(visualization);
+    savedSearchPanel.setVisualization(visualization);
+    highlightLayerControls.setVisualization(visualization);
+    heatmapControls.setVisualization(visualization);
+    scoreColoringControls.setVisualization(visualization);
+    debugOverlay.setVisualization(visualization);
+    layoutControls.setVisualization(visualization);
+    visualization.setAnnotations(annotationStore.getAll());
+    urlStateManager.setVisualization(visualization);
 
     return visualization;
 }
@@ -109,17 +161,82 @@ async function init() {
         // Initialize controls
         searchControls = new SearchControls(null);
         zoomControls = new ZoomControls(app, null);
-        bookFilter = new BookFilter(async (filterIndex) => {
+        referenceNavigation = new ReferenceNavigation(null, () => {
+            // Reference highlights replace any active search
+            searchControls.clear();
+        });
+        const changeBook = async (filterIndex) => {
             // Clear search when changing books
             searchControls.clear();
+            referenceNavigation.clear();
 
             // Reload visualization with new filter
             await loadAndCreateVisualization(filterIndex);
+        };
+        bookFilter = new BookFilter(async (filterIndex) => {
+            await changeBook(filterIndex);
+            urlStateManager.handleBookChange();
+        });
+        fontControls = new FontControls(async () => {
+            // Re-wrapping moves every line, so keep the search and focused verse but not the camera
+            const state = { ...urlStateManager.buildState(), zoom: null, centerX: null, centerY: null };
+            await loadAndCreateVisualization(bookFilter.getCurrentFilter());
+            urlStateManager.applyToVisualization(state);
         });
+        layoutControls = new LayoutControls(null);
         bookLegend = new BookLegend();
+        highlightLayerControls = new HighlightLayerControls(null, searchControls);
+        window.addEventListener('highlight-layers-changed', (e) => {
+            bookLegend.setHighlightLayers(e.detail.layers);
+        });
+        minimap = new Minimap(app, null);
+        heatmapControls = new HeatmapControls(null);
+        scoreColoringControls = new ScoreColoringControls(null);
+        debugOverlay = new DebugOverlay(null);
+        annotationStore = new AnnotationStore();
+        await annotationStore.init();
+        window.addEventListener('annotations-changed', () => {
+            if (visualization) {
+                visualization.setAnnotations(annotationStore.getAll());
+            }
+        });
+        verseInspector = new VerseInspector(app, null, annotationStore);
+        annotationPanel = new AnnotationPanel(annotationStore, null, (verseIndex) => {
+            verseInspector.inspect(verseIndex);
+        });
+        savedSearchStore = new SavedSearchStore();
+        savedSearchPanel = new SavedSearchPanel(savedSearchStore, searchControls, null);
+        annotationExchange = new AnnotationExchange({
+            annotationStore,
+            // Saved searches travel with exported files
+            getSearches: () => savedSearchStore.getSaved(),
+            importSearches: (searches, options) => savedSearchStore.importSearches(searches, options)
+        });
+        selectionControls = new SelectionControls(app, null);
+        zoomControls.setPointerClaimHandler((e) => selectionControls.claimPointer(e));
+        keyboardShortcuts = new KeyboardShortcuts({
+            searchControls,
+            zoomControls,
+            referenceNavigation,
+            debugOverlay
+        });
+        urlStateManager = new UrlStateManager({
+            bookFilter,
+            searchControls,
+            onBookChange: changeBook
+        });
+
+        // ?benchmark=text compares frame times of the text renderers once loaded.
+        // Read it before URL state syncing rewrites the query string.
+        const benchmark = new URLSearchParams(window.location.search).get('benchmark');
+
+        // Restore the book filter from the URL before the first load
+        const initialState = urlStateManager.getInitialState();
+        bookFilter.setCurrentFilter(initialState.bookIndex);
 
         // Load and create visualization
         await loadAndCreateVisualization(bookFilter.getCurrentFilter());
+        urlStateManager.applyToVisualization(initialState);
 
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -128,6 +245,10 @@ async function init() {
                 visualization.handleResize();
             }
         });
+
+        if (benchmark === 'text') {
+            await runTextRendererBenchmark(visualization, app);
+        }
     } catch (error) {
         console.error('Error initializing application:', error);
     }
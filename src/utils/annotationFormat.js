@@ -0,0 +1,330 @@
+import { parseReference } from './references.js';
+import { parseScope, serializeScope } from './urlState.js';
+
+/**
+ * Exchange format for annotations and searches.
+ *
+ * JSON (version 1):
+ * {
+ *   "format": "bom-visualizer-export",
+ *   "version": 1,
+ *   "exportedAt": "2026-01-01T00:00:00.000Z",
+ *   "annotations": [{ "reference": "Alma 32:21", "color": "#ffd54f" | null,
+ *                     "bookmarked": true, "note": "...", "updatedAt": "..." }],
+ *   "searches": [{ "name": "...", "query": "faith", "semantic": false, "hybrid": false, "threshold": 0.25,
+ *                  "scope": "books:Alma,Mosiah" | null, "caseSensitive": false, "wholeWord": false }]
+ * }
+ *
+ * CSV has one row per annotation or search, distinguished by the "kind" column.
+ * References are canonical "Book chapter:verse" strings so files stay valid
+ * across book filters and re-parsing.
+ */
+export const EXPORT_FORMAT = 'bom-visualizer-export';
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = [
+    'kind', 'reference', 'color', 'bookmarked', 'note', 'updatedAt',
+    'name', 'query', 'semantic', 'hybrid', 'threshold', 'scope', 'caseSensitive', 'wholeWord'
+];
+
+function formatError(message) {
+    const error = new Error(message);
+    error.code = 'invalid-import';
+    return error;
+}
+
+function colorToHex(color) {
+    return color === null ? null : `#${color.toString(16).padStart(6, '0')}`;
+}
+
+function parseColor(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) return value;
+    const match = String(value).trim().match(/^#?([0-9a-f]{6})$/i);
+    if (!match) throw new Error(`Invalid color "${value}"`);
+    return parseInt(match[1], 16);
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (value === undefined || value === null || value === '') return false;
+    const text = String(value).trim().toLowerCase();
+    if (text === 'true' || text === '1' || text === 'yes') return true;
+    if (text === 'false' || text === '0' || text === 'no') return false;
+    throw new Error(`Invalid boolean "${value}"`);
+}
+
+/**
+ * Normalizes any accepted spelling ("1 Ne 3:7") to the canonical "1 Nephi 3:7"
+ */
+function canonicalizeReference(value) {
+    const reference = parseReference(String(value ?? ''));
+    const isSingleVerse = reference.verse !== null
+        && reference.endChapter === reference.chapter
+        && reference.endVerse === reference.verse;
+    if (!isSingleVerse) {
+        throw new Error('Must name a single verse');
+    }
+    return {
+        reference: `${reference.book} ${reference.chapter}:${reference.verse}`,
+        book: reference.book,
+        chapter: String(reference.chapter),
+        verse: String(reference.verse)
+    };
+}
+
+function validateAnnotation(entry) {
+    const verse = canonicalizeReference(entry.reference);
+    const annotation = {
+        ...verse,
+        color: parseColor(entry.color),
+        bookmarked: parseBoolean(entry.bookmarked),
+        note: typeof entry.note === 'string' ? entry.note.trim() : String(entry.note ?? '').trim(),
+        updatedAt: entry.updatedAt || new Date().toISOString()
+    };
+    if (annotation.color === null && !annotation.bookmarked && !annotation.note) {
+        throw new Error('Annotation has no highlight, bookmark or note');
+    }
+    return annotation;
+}
+
+function validateSearch(entry) {
+    const query = String(entry.query ?? '').trim();
+    if (!query) throw new Error('Search has no query');
+
+    let threshold = null;
+    if (entry.threshold !== undefined && entry.threshold !== null && entry.threshold !== '') {
+        threshold = Number(entry.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+            throw new Error(`Invalid threshold "${entry.threshold}"`);
+        }
+    }
+
+    const scope = typeof entry.scope === 'object' && entry.scope !== null
+        ? entry.scope
+        : parseScope(entry.scope || null);
+    const semantic = parseBoolean(entry.semantic);
+    return {
+        name: String(entry.name ?? '').trim() || query,
+        query,
+        semantic,
+        hybrid: semantic && parseBoolean(entry.hybrid),
+        threshold,
+        scope,
+        caseSensitive: parseBoolean(entry.caseSensitive),
+        wholeWord: parseBoolean(entry.wholeWord)
+    };
+}
+
+/**
+ * Builds the JSON export object
+ * @param {Array} annotations - Records from AnnotationStore
+ * @param {Array} searches - Search states ({ name, query, semantic, hybrid, threshold, scope, caseSensitive, wholeWord })
+ */
+export function buildExport(annotations, searches = []) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        annotations: annotations.map((annotation) => ({
+            reference: annotation.reference,
+            color: colorToHex(annotation.color),
+            bookmarked: annotation.bookmarked,
+            note: annotation.note,
+            updatedAt: annotation.updatedAt
+        })),
+        searches: searches.map((search) => ({
+            name: search.name,
+            query: search.query,
+            semantic: search.semantic,
+            hybrid: Boolean(search.hybrid),
+            threshold: search.threshold,
+            scope: serializeScope(search.scope),
+            caseSensitive: search.caseSensitive,
+            wholeWord: search.wholeWord
+        }))
+    };
+}
+
+// Spreadsheets evaluate fields starting with these as formulas; an apostrophe
+// guard keeps them text. Fields already starting with apostrophes before one
+// get another, so unguardCsvField can always remove exactly one.
+const CSV_FORMULA_PATTERN = /^'*[=+\-@]/;
+
+function escapeCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const raw = String(value);
+    const text = CSV_FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function unguardCsvField(text) {
+    return text.startsWith("'") && CSV_FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Serializes an export object (from buildExport) as CSV
+ */
+export function exportToCsv(data) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const annotation of data.annotations) {
+        rows.push(CSV_COLUMNS.map((column) => escapeCsvField(
+            column === 'kind' ? 'annotation' : annotation[column]
+        )).join(','));
+    }
+    for (const search of data.searches) {
+        rows.push(CSV_COLUMNS.map((column) => escapeCsvField(
+            column === 'kind' ? 'search' : search[column]
+        )).join(','));
+    }
+    return `${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) throw formatError('CSV has an unterminated quoted field.');
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+function csvToEntries(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) throw formatError('CSV file is empty.');
+
+    const columns = header.map((name) => name.trim());
+    if (!columns.includes('kind')) {
+        throw formatError('CSV is missing the "kind" column.');
+    }
+
+    const annotations = [];
+    const searches = [];
+    const invalid = [];
+    rows.forEach((fields, index) => {
+        const entry = { line: index + 2 };
+        columns.forEach((column, columnIndex) => {
+            entry[column] = unguardCsvField(fields[columnIndex] ?? '');
+        });
+        const kind = entry.kind.trim().toLowerCase();
+        if (kind === 'search') {
+            searches.push(entry);
+        } else if (kind === 'annotation') {
+            annotations.push(entry);
+        } else {
+            invalid.push({ entry: `line ${entry.line}`, message: `Unknown kind "${entry.kind}"` });
+        }
+    });
+    return { annotations, searches, invalid };
+}
+
+function jsonToEntries(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw formatError(`Not valid JSON: ${error.message}`);
+    }
+
+    if (!data || data.format !== EXPORT_FORMAT) {
+        throw formatError('Not a Book of Mormon Visualizer export file.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1 || data.version > EXPORT_VERSION) {
+        throw formatError(`Unsupported export version ${data.version}.`);
+    }
+    if (!Array.isArray(data.annotations ?? []) || !Array.isArray(data.searches ?? [])) {
+        throw formatError('"annotations" and "searches" must be arrays.');
+    }
+
+    return { annotations: data.annotations ?? [], searches: data.searches ?? [], invalid: [] };
+}
+
+/**
+ * Parses and validates an import file (JSON or CSV, detected from its content).
+ * Invalid entries are skipped and reported; a malformed file throws
+ * an error with code 'invalid-import'.
+ * @param {string} text - File contents
+ * @returns {{annotations: Array, searches: Array, errors: Array<{entry: string, message: string}>}}
+ */
+export function parseImport(text) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const entries = trimmed.startsWith('{') ? jsonToEntries(trimmed) : csvToEntries(trimmed);
+
+    const errors = [...entries.invalid];
+    const annotations = [];
+    const searches = [];
+    const describe = (kind, entry, index) => (entry.line ? `line ${entry.line}` : `${kind} ${index + 1}`);
+
+    entries.annotations.forEach((entry, index) => {
+        try {
+            annotations.push(validateAnnotation(entry));
+        } catch (error) {
+            errors.push({ entry: describe('annotation', entry, index), message: `${entry.reference || '(no reference)'}: ${error.message}` });
+        }
+    });
+    entries.searches.forEach((entry, index) => {
+        try {
+            searches.push(validateSearch(entry));
+        } catch (error) {
+            errors.push({ entry: describe('search', entry, index), message: error.message });
+        }
+    });
+
+    return { annotations, searches, errors };
+}
+
+/**
+ * Splits annotations into those whose verse exists in the parsed text and those that don't
+ * @param {Array} annotations - Validated annotations
+ * @param {Array} verseMeta - verseMeta from parseBookOfMormonText for the whole text
+ */
+export function resolveAnnotationReferences(annotations, verseMeta) {
+    const references = new Set();
+    for (const meta of verseMeta) {
+        if (meta.kind === 'verse') {
+            references.add(`${meta.book} ${meta.chapter}:${meta.verse}`);
+        }
+    }
+
+    const resolved = [];
+    const unresolved = [];
+    for (const annotation of annotations) {
+        (references.has(annotation.reference) ? resolved : unresolved).push(annotation);
+    }
+    return { resolved, unresolved };
+}
@@ -0,0 +1,182 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+
+const DB_NAME = 'bom-visualizer';
+const DB_VERSION = 1;
+const STORE_NAME = 'annotations';
+
+const BOOK_ORDER = new Map(BOOK_DEFINITIONS.map((book, index) => [book.name, index]));
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'reference' });
+        }
+    };
+    return requestToPromise(request);
+}
+
+/**
+ * Formats the canonical key used for annotations, e.g. "Alma 32:21"
+ */
+export function formatAnnotationReference({ book, chapter, verse }) {
+    return `${book} ${chapter}:${verse}`;
+}
+
+/**
+ * Sorts annotations in canonical (book, chapter, verse) order
+ */
+export function compareAnnotations(a, b) {
+    return (BOOK_ORDER.get(a.book) ?? 0) - (BOOK_ORDER.get(b.book) ?? 0)
+        || Number(a.chapter) - Number(b.chapter)
+        || Number(a.verse) - Number(b.verse);
+}
+
+/**
+ * Combines two annotations of the same verse without losing data:
+ * the incoming color wins when set, bookmarks are kept, differing notes are joined
+ */
+function mergeAnnotation(existing, incoming) {
+    let note = existing.note;
+    if (incoming.note && incoming.note !== existing.note) {
+        note = existing.note ? `${existing.note}\n\n${incoming.note}` : incoming.note;
+    }
+    return {
+        ...existing,
+        color: incoming.color ?? existing.color,
+        bookmarked: existing.bookmarked || incoming.bookmarked,
+        note,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function isEmptyAnnotation(annotation) {
+    return annotation.color === null && !annotation.bookmarked && !annotation.note;
+}
+
+/**
+ * Persistent per-verse annotations: a highlight color, a bookmark flag and a note.
+ * Records are keyed by verse reference rather than verse index, so they survive
+ * re-parsing and book filtering. Falls back to memory when IndexedDB is unavailable.
+ * Dispatches 'annotations-changed' on window after every change.
+ */
+export class AnnotationStore {
+    constructor() {
+        this.db = null;
+        this.annotations = new Map(); // reference -> annotation
+    }
+
+    async init() {
+        try {
+            this.db = await openDatabase();
+            const records = await requestToPromise(
+                this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll()
+            );
+            for (const record of records) {
+                this.annotations.set(record.reference, record);
+            }
+        } catch (error) {
+            console.warn('Annotations will not persist:', error);
+            this.db = null;
+        }
+        this.notifyChange();
+    }
+
+    /**
+     * Gets all annotations in canonical order
+     */
+    getAll() {
+        return Array.from(this.annotations.values()).sort(compareAnnotations);
+    }
+
+    get(reference) {
+        return this.annotations.get(reference) || null;
+    }
+
+    /**
+     * Updates a verse's annotation; clearing every field removes it
+     * @param {{book: string, chapter: string, verse: string}} verse - Verse metadata
+     * @param {Object} changes - Any of { color, bookmarked, note }
+     */
+    async update(verse, changes) {
+        const reference = formatAnnotationReference(verse);
+        const annotation = {
+            reference,
+            book: verse.book,
+            chapter: String(verse.chapter),
+            verse: String(verse.verse),
+            color: null,
+            bookmarked: false,
+            note: '',
+            ...this.annotations.get(reference),
+            ...changes,
+            updatedAt: new Date().toISOString()
+        };
+
+        if (isEmptyAnnotation(annotation)) {
+            this.annotations.delete(reference);
+            await this.persist((store) => store.delete(reference));
+        } else {
+            this.annotations.set(reference, annotation);
+            await this.persist((store) => store.put(annotation));
+        }
+        this.notifyChange();
+        return annotation;
+    }
+
+    /**
+     * Imports validated annotations, replacing all existing ones or merging into them
+     * @param {Array} annotations - Records with reference, book, chapter, verse, color, bookmarked, note
+     * @param {Object} options - { replace: true } discards existing annotations first
+     */
+    async importAnnotations(annotations, { replace = false } = {}) {
+        const next = replace ? new Map() : new Map(this.annotations);
+        for (const annotation of annotations) {
+            const existing = next.get(annotation.reference);
+            next.set(annotation.reference, existing ? mergeAnnotation(existing, annotation) : { ...annotation });
+        }
+
+        await this.persist((store) => {
+            if (replace) store.clear();
+            for (const annotation of next.values()) {
+                store.put(annotation);
+            }
+        });
+        this.annotations = next;
+        this.notifyChange();
+    }
+
+    async persist(operation) {
+        if (!this.db) return;
+        try {
+            const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+            operation(transaction.objectStore(STORE_NAME));
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            console.error('Failed to save annotations:', error);
+        }
+    }
+
+    notifyChange() {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('annotations-changed', {
+                detail: { count: this.annotations.size }
+            }));
+        }
+    }
+}
@@ -0,0 +1,138 @@
+import { CAMERA_CONFIG, ZOOM_CONFIG } from '../config.js';
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function prefersReducedMotion() {
+    return typeof window !== 'undefined'
+        && typeof window.matchMedia === 'function'
+        && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Animates the camera (zoom + offset) on the Pixi ticker.
+ * Zoom is interpolated in log space and position via the world point at the
+ * screen center, so the motion looks uniform at every zoom level. Long jumps
+ * "fly": zoom out far enough to see both ends, then zoom back in.
+ */
+export class CameraAnimator {
+    /**
+     * @param {Object} ticker - Pixi ticker driving the animation
+     * @param {Object} screen - Pixi screen rectangle (live width/height)
+     * @param {Function} getView - () => { zoom, offsetX, offsetY }
+     * @param {Function} setView - ({ zoom, offsetX, offsetY }) => void
+     */
+    constructor(ticker, screen, getView, setView) {
+        this.ticker = ticker;
+        this.screen = screen;
+        this.getView = getView;
+        this.setView = setView;
+        this.animation = null;
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Animates to a target view. With reduced motion the view is applied immediately.
+     * @param {{zoom: number, offsetX: number, offsetY: number}} target
+     */
+    animateTo(target) {
+        this.stop();
+
+        const start = this.getView();
+        const startCenter = this.toWorldCenter(start);
+        const endCenter = this.toWorldCenter(target);
+        const worldDistance = Math.hypot(endCenter.x - startCenter.x, endCenter.y - startCenter.y);
+        const screenSize = Math.max(this.screen.width, this.screen.height);
+        const isLongJump = worldDistance * start.zoom > CAMERA_CONFIG.flyDistanceScreens * screenSize;
+        const duration = isLongJump ? CAMERA_CONFIG.flyDuration : CAMERA_CONFIG.duration;
+
+        if (prefersReducedMotion() || duration <= 0 || worldDistance === 0 && start.zoom === target.zoom) {
+            this.setView(target);
+            return;
+        }
+
+        const startLogZoom = Math.log(start.zoom);
+        const endLogZoom = Math.log(target.zoom);
+        let zoomDip = 0;
+        if (isLongJump) {
+            const flyZoom = Math.max(
+                ZOOM_CONFIG.min,
+                Math.min(start.zoom, target.zoom, screenSize / (worldDistance * CAMERA_CONFIG.flyZoomMargin))
+            );
+            zoomDip = Math.max(0, (startLogZoom + endLogZoom) / 2 - Math.log(flyZoom));
+        }
+
+        this.animation = {
+            elapsed: 0,
+            duration,
+            startCenter,
+            endCenter,
+            startLogZoom,
+            endLogZoom,
+            zoomDip,
+            target
+        };
+        this.ticker.add(this.tick);
+    }
+
+    tick() {
+        const animation = this.animation;
+        if (!animation) return;
+
+        animation.elapsed += this.ticker.deltaMS;
+        const progress = Math.min(1, animation.elapsed / animation.duration);
+
+        if (progress >= 1) {
+            const { target } = animation;
+            this.stop();
+            this.setView(target);
+            return;
+        }
+
+        const t = easeInOutCubic(progress);
+        const logZoom = animation.startLogZoom + (animation.endLogZoom - animation.startLogZoom) * t
+            - animation.zoomDip * 4 * t * (1 - t);
+        const zoom = Math.exp(logZoom);
+        const centerX = animation.startCenter.x + (animation.endCenter.x - animation.startCenter.x) * t;
+        const centerY = animation.startCenter.y + (animation.endCenter.y - animation.startCenter.y) * t;
+
+        this.setView({
+            zoom,
+            offsetX: this.screen.width / 2 - centerX * zoom,
+            offsetY: this.screen.height / 2 - centerY * zoom
+        });
+    }
+
+    toWorldCenter(view) {
+        return {
+            x: (this.screen.width / 2 - view.offsetX) / view.zoom,
+            y: (this.screen.height / 2 - view.offsetY) / view.zoom
+        };
+    }
+
+    /**
+     * Gets the view the running animation ends at, or null when idle
+     */
+    getTargetView() {
+        return this.animation ? this.animation.target : null;
+    }
+
+    isAnimating() {
+        return this.animation !== null;
+    }
+
+    /**
+     * Stops the current animation where it is (e.g. when the user takes over)
+     */
+    stop() {
+        if (this.animation) {
+            this.animation = null;
+            this.ticker.remove(this.tick);
+        }
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
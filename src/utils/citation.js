@@ -0,0 +1,61 @@
+import { formatReferenceLabel } from './references.js';
+
+/**
+ * Copy formats for selected verses:
+ * - text: one "Book C:V text" line per verse
+ * - markdown: a blockquote with bold references and a closing citation
+ * - citation: the quoted passage followed by its reference range
+ */
+export const CITATION_FORMATS = ['text', 'markdown', 'citation'];
+
+function formatVerseText({ text, partialStart, partialEnd }) {
+    return `${partialStart ? '…' : ''}${text}${partialEnd ? '…' : ''}`;
+}
+
+function formatVerseLabel({ book, chapter, verse }) {
+    return `${book} ${chapter}:${verse}`;
+}
+
+/**
+ * Labels the span from the first to the last verse, e.g. "Mosiah 2:17-18"
+ */
+export function formatSelectionLabel(verses) {
+    if (verses.length === 0) return '';
+
+    const first = verses[0];
+    const last = verses[verses.length - 1];
+    if (first.book !== last.book) {
+        return `${formatVerseLabel(first)} - ${formatVerseLabel(last)}`;
+    }
+    return formatReferenceLabel({
+        book: first.book,
+        chapter: first.chapter,
+        verse: first.verse,
+        endChapter: last.chapter,
+        endVerse: last.verse
+    });
+}
+
+/**
+ * Formats selected verses for the clipboard
+ * @param {Array<{book: string, chapter: string, verse: string, text: string, partialStart: boolean, partialEnd: boolean}>} verses
+ * @param {string} format - One of CITATION_FORMATS
+ * @returns {string}
+ */
+export function formatCitation(verses, format = 'text') {
+    if (verses.length === 0) return '';
+
+    if (format === 'markdown') {
+        const quote = verses
+            .map((verse) => `> **${formatVerseLabel(verse)}** ${formatVerseText(verse)}`)
+            .join('\n>\n');
+        return `${quote}\n>\n> — *${formatSelectionLabel(verses)}*`;
+    }
+
+    if (format === 'citation') {
+        const passage = verses.map(formatVerseText).join(' ');
+        return `"${passage}" (${formatSelectionLabel(verses)})`;
+    }
+
+    return verses.map((verse) => `${formatVerseLabel(verse)} ${formatVerseText(verse)}`).join('\n');
+}
@@ -0,0 +1,132 @@
+import { HEATMAP_CONFIG } from '../config.js';
+import { getVersePrefixLength } from './verseParser.js';
+
+export const HEATMAP_METRICS = {
+    count: 'Matches',
+    rate: 'Matches per 1,000 words',
+    meanScore: 'Mean semantic score'
+};
+
+function countWords(text) {
+    const trimmed = text.trim();
+    return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * Counts the words on each wrapped line, leaving out chapter headings and
+ * verse reference prefixes so rates reflect the scripture text only
+ */
+export function countLineWords(lines, verseMetaList, verseStartLines) {
+    const lineWords = lines.map(countWords);
+    verseMetaList.forEach((meta, verseIndex) => {
+        const startLine = verseStartLines[verseIndex];
+        if (startLine === undefined) return;
+        const lineText = lines[startLine] || '';
+        if (meta.kind === 'chapter') {
+            lineWords[startLine] = 0;
+        } else if (meta.kind === 'verse') {
+            lineWords[startLine] = countWords(lineText.slice(getVersePrefixLength(lineText, meta)));
+        }
+    });
+    return lineWords;
+}
+
+/**
+ * Splits the wrapped lines into heatmap bins
+ * @param {string|number} binSize - 'chapter', or a number of lines per bin
+ * @returns {Array<{startLine: number, endLine: number, label: string}>}
+ */
+export function buildHeatmapBins(binSize, lines, verseMetaList, verseStartLines) {
+    if (binSize !== 'chapter') {
+        const size = Math.max(1, Number(binSize));
+        const bins = [];
+        for (let startLine = 0; startLine < lines.length; startLine += size) {
+            const endLine = Math.min(lines.length, startLine + size) - 1;
+            bins.push({ startLine, endLine, label: `Lines ${startLine + 1}–${endLine + 1}` });
+        }
+        return bins;
+    }
+
+    // Blank separator lines stay with the chapter before them
+    const bins = [];
+    let current = null;
+    verseMetaList.forEach((meta, verseIndex) => {
+        const startLine = verseStartLines[verseIndex];
+        if (startLine === undefined) return;
+        const label = meta.book ? `${meta.book} ${meta.chapter}` : null;
+        if (label && label !== current?.label) {
+            current = { startLine, endLine: startLine, label };
+            bins.push(current);
+        }
+    });
+    bins.forEach((bin, index) => {
+        bin.endLine = index + 1 < bins.length ? bins[index + 1].startLine - 1 : lines.length - 1;
+    });
+    if (bins.length > 0) {
+        bins[0].startLine = 0;
+    }
+    return bins;
+}
+
+/**
+ * Assigns each bin its metric value
+ * @param {Array} bins - From buildHeatmapBins
+ * @param {Map<number, number>} lineHits - lineIndex -> number of matches starting on that line
+ * @param {Map<number, number>} lineScores - lineIndex -> semantic score of the verse starting there
+ * @param {number[]} lineWords - From countLineWords
+ * @param {string} metric - A key of HEATMAP_METRICS
+ * @returns {{bins: Array<{startLine, endLine, label, value}>, min: number, max: number}}
+ */
+export function computeHeatmapValues(bins, lineHits, lineScores, lineWords, metric) {
+    const result = [];
+    let min = Infinity;
+    let max = 0;
+    for (const bin of bins) {
+        let hits = 0;
+        let words = 0;
+        let scoreSum = 0;
+        let scoreCount = 0;
+        for (let lineIndex = bin.startLine; lineIndex <= bin.endLine; lineIndex++) {
+            hits += lineHits.get(lineIndex) || 0;
+            words += lineWords[lineIndex] || 0;
+            const score = lineScores.get(lineIndex);
+            if (score !== undefined) {
+                scoreSum += score;
+                scoreCount++;
+            }
+        }
+
+        let value = hits;
+        if (metric === 'rate') {
+            value = words > 0 ? (hits / words) * 1000 : 0;
+        } else if (metric === 'meanScore') {
+            value = scoreCount > 0 ? scoreSum / scoreCount : 0;
+        }
+        if (value <= 0) continue;
+
+        result.push({ ...bin, value });
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    return { bins: result, min: result.length > 0 ? min : 0, max };
+}
+
+/**
+ * Interpolates a color ramp (HEATMAP_CONFIG.ramp by default) at t in [0, 1]
+ * @param {number[]} ramp - Evenly spaced 0xRRGGBB stops
+ * @returns {number} - Color as 0xRRGGBB
+ */
+export function getRampColor(t, ramp = HEATMAP_CONFIG.ramp) {
+    const position = Math.max(0, Math.min(1, t)) * (ramp.length - 1);
+    const index = Math.min(Math.floor(position), ramp.length - 2);
+    const fraction = position - index;
+    const from = ramp[index];
+    const to = ramp[index + 1];
+    let color = 0;
+    for (const shift of [16, 8, 0]) {
+        const a = (from >> shift) & 0xff;
+        const b = (to >> shift) & 0xff;
+        color |= Math.round(a + (b - a) * fraction) << shift;
+    }
+    return color;
+}
@@ -0,0 +1,18 @@
+/**
+ * Escapes text for HTML element content and quoted attribute values
+ */
+export function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {number} color - 0xRRGGBB, as used by Pixi
+ * @returns {string} - CSS hex color
+ */
+export function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
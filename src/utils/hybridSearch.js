@@ -0,0 +1,37 @@
+import { HYBRID_CONFIG } from '../config.js';
+
+/**
+ * Combines lexical and semantic rankings with reciprocal rank fusion:
+ * each list adds 1 / (k + rank) for every verse it contains
+ * @param {Array<{verseIndex: number, score: number}>} lexical - Best first
+ * @param {Array<{verseIndex: number, score: number}>} semantic - Best first
+ * @returns {Array<{verseIndex: number, score: number, signals: Object}>} - Best first; score is
+ *   normalized so the top result is 1 and only orders results, and signals hold each list's
+ *   rank (1-based) and raw score
+ */
+export function fuseRankings(lexical, semantic) {
+    const { rrfK, maxResults } = HYBRID_CONFIG;
+    const fused = new Map();
+    const add = (list, signal) => {
+        list.forEach(({ verseIndex, score }, index) => {
+            let entry = fused.get(verseIndex);
+            if (!entry) {
+                entry = { verseIndex, score: 0, signals: { lexical: null, semantic: null } };
+                fused.set(verseIndex, entry);
+            }
+            entry.score += 1 / (rrfK + index + 1);
+            entry.signals[signal] = { rank: index + 1, score };
+        });
+    };
+    add(lexical, 'lexical');
+    add(semantic, 'semantic');
+
+    const results = Array.from(fused.values())
+        .sort((a, b) => b.score - a.score || a.verseIndex - b.verseIndex)
+        .slice(0, maxResults);
+    const topScore = results[0]?.score || 1;
+    results.forEach((entry) => {
+        entry.score /= topScore;
+    });
+    return results;
+}
@@ -1,4 +1,5 @@
 import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+import { toCssColor } from './html.js';
 
 /**
  * Generates and manages the book legend
@@ -7,6 +8,10 @@ export class BookLegend {
     constructor() {
         this.legendContainer = document.getElementById('book-legend');
         this.generateLegend();
+        this.highlightSection = document.createElement('div');
+        this.highlightSection.className = 'legend-highlights';
+        this.legendContainer.insertBefore(this.highlightSection, this.legendContainer.querySelector('.legend-item'));
+        this.setHighlightLayers([]);
     }
 
     generateLegend() {
@@ -29,7 +34,7 @@ export class BookLegend {
 
             const colorBox = document.createElement('div');
             colorBox.className = 'legend-color';
-            colorBox.style.background = `#${book.color.toString(16).padStart(6, '0').toUpperCase()}`;
+            colorBox.style.background = toCssColor(book.color);
 
             const label = document.createTextNode(book.name);
 
@@ -39,6 +44,43 @@ export class BookLegend {
         });
     }
 
+    /**
+     * Lists the visible highlight layers above the books, each with its match count
+     * @param {Array<{query: string, color: number, visible: boolean, count: number}>} layers
+     */
+    setHighlightLayers(layers) {
+        this.highlightSection.innerHTML = '';
+        const activeLayers = layers.filter((layer) => layer.visible);
+        this.highlightSection.style.display = activeLayers.length > 0 ? 'block' : 'none';
+        if (activeLayers.length === 0) return;
+
+        const title = document.createElement('h4');
+        title.textContent = 'Highlights';
+        this.highlightSection.appendChild(title);
+
+        activeLayers.forEach((layer) => {
+            const item = document.createElement('div');
+            item.className = 'legend-highlight-item';
+
+            const colorBox = document.createElement('div');
+            colorBox.className = 'legend-color';
+            colorBox.style.background = toCssColor(layer.color);
+
+            const label = document.createElement('span');
+            label.className = 'legend-highlight-query';
+            label.textContent = layer.query;
+
+            const count = document.createElement('span');
+            count.className = 'legend-highlight-count';
+            count.textContent = layer.count;
+
+            item.appendChild(colorBox);
+            item.appendChild(label);
+            item.appendChild(count);
+            this.highlightSection.appendChild(item);
+        });
+    }
+
     updateVisibility(filterBookIndex) {
         const legendItems = this.legendContainer.querySelectorAll('.legend-item');
         legendItems.forEach((item, index) => {
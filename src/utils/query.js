@@ -0,0 +1,290 @@
+/**
+ * Search query language:
+ * - plain text without any syntax is matched as a literal phrase (e.g. came to pass)
+ * - "quoted phrases"
+ * - AND, OR, NOT (uppercase), "-term" as shorthand for NOT, and parentheses
+ * - adjacent terms are joined with an implicit AND
+ * - wildcards: * matches any run of word characters, ? a single word character
+ * - /regex/flags for an explicit regular expression
+ */
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const ALLOWED_REGEX_FLAGS = /^[imsu]*$/;
+
+/**
+ * Creates a query error with a machine-readable code
+ */
+function queryError(message, code = 'query-syntax') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+                throw queryError(`Unterminated quote at position ${i + 1}.`);
+            }
+            const value = input.slice(i + 1, end).trim();
+            if (value.length === 0) {
+                throw queryError(`Empty phrase at position ${i + 1}.`);
+            }
+            tokens.push({ type: 'phrase', value, position: i });
+            i = end + 1;
+            continue;
+        }
+
+        if (char === '/') {
+            let end = i + 1;
+            while (end < input.length && input[end] !== '/') {
+                end += input[end] === '\\' ? 2 : 1;
+            }
+            if (end >= input.length) {
+                throw queryError(`Unterminated regular expression at position ${i + 1}.`);
+            }
+            const flagsMatch = input.slice(end + 1).match(/^[a-z]*/);
+            const flags = flagsMatch[0];
+            if (!ALLOWED_REGEX_FLAGS.test(flags)) {
+                throw queryError(`Unsupported regular expression flags "${flags}".`, 'invalid-regex');
+            }
+            tokens.push({ type: 'regex', value: input.slice(i + 1, end), flags, position: i });
+            i = end + 1 + flags.length;
+            continue;
+        }
+
+        if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            tokens.push({ type: 'NOT', position: i });
+            i++;
+            continue;
+        }
+
+        let end = i;
+        while (end < input.length && !/[\s()"]/.test(input[end])) {
+            end++;
+        }
+        const value = input.slice(i, end);
+        tokens.push(OPERATORS.has(value)
+            ? { type: value, position: i }
+            : { type: 'word', value, position: i });
+        i = end;
+    }
+
+    return tokens;
+}
+
+function hasQuerySyntax(tokens) {
+    return tokens.some((token) => token.type !== 'word');
+}
+
+function parseTokens(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.value ?? token.type}" at position ${token.position + 1}` : 'end of query');
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            index++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseNot()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') {
+                index++;
+            }
+            children.push(parseNot());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseNot() {
+        if (peek()?.type === 'NOT') {
+            index++;
+            return { type: 'not', child: parseNot() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw queryError('Expected a search term at end of query.');
+        }
+
+        if (token.type === '(') {
+            index++;
+            if (peek()?.type === ')') {
+                throw queryError(`Empty parentheses at position ${token.position + 1}.`);
+            }
+            const node = parseOr();
+            if (peek()?.type !== ')') {
+                throw queryError(`Missing closing parenthesis for position ${token.position + 1}.`);
+            }
+            index++;
+            return node;
+        }
+
+        if (token.type === 'word' || token.type === 'phrase') {
+            index++;
+            return { type: 'term', kind: token.type, value: token.value };
+        }
+
+        if (token.type === 'regex') {
+            index++;
+            return { type: 'term', kind: 'regex', value: token.value, flags: token.flags };
+        }
+
+        throw queryError(`Expected a search term but found ${describe(token)}.`);
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+        throw queryError(`Unexpected ${describe(tokens[index])}.`);
+    }
+    return ast;
+}
+
+function escapeLiteral(text) {
+    return text
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '\\w*')
+        .replace(/\?/g, '\\w')
+        .replace(/\s+/g, '\\s+');
+}
+
+function buildTermRegex(node, options) {
+    const caseFlag = options.caseSensitive ? '' : 'i';
+
+    if (node.kind === 'regex') {
+        const flags = new Set(`g${node.flags}${caseFlag}`);
+        try {
+            return new RegExp(node.value, Array.from(flags).join(''));
+        } catch (error) {
+            throw queryError(`Invalid regular expression /${node.value}/: ${error.message}`, 'invalid-regex');
+        }
+    }
+
+    let source = escapeLiteral(node.value);
+    if (options.wholeWord) {
+        source = `(?<!\\w)${source}(?!\\w)`;
+    }
+    return new RegExp(source, `g${caseFlag}`);
+}
+
+/**
+ * Parses a query string into an AST
+ * @param {string} input - Query text
+ * @returns {Object} - AST of term/and/or/not nodes
+ */
+export function parseQuery(input) {
+    const trimmed = (input || '').trim();
+    if (trimmed.length === 0) {
+        throw queryError('Enter a search query.');
+    }
+
+    const tokens = tokenize(trimmed);
+    if (!hasQuerySyntax(tokens)) {
+        return { type: 'term', kind: 'phrase', value: trimmed };
+    }
+    return parseTokens(tokens);
+}
+
+/**
+ * Compiles a query into a verse predicate plus the regexes used for highlighting
+ * @param {string} input - Query text
+ * @param {Object} options - { caseSensitive: boolean, wholeWord: boolean }
+ * @returns {{ast: Object, matches: Function, highlightRegexes: RegExp[]}}
+ */
+export function compileQuery(input, options = {}) {
+    const ast = parseQuery(input);
+    const highlightRegexes = [];
+
+    function compile(node, negated) {
+        if (node.type === 'term') {
+            const regex = buildTermRegex(node, options);
+            if (!negated) {
+                highlightRegexes.push(regex);
+            }
+            return (text) => {
+                regex.lastIndex = 0;
+                return regex.test(text);
+            };
+        }
+        if (node.type === 'not') {
+            const child = compile(node.child, !negated);
+            return (text) => !child(text);
+        }
+        const children = node.children.map((child) => compile(child, negated));
+        if (node.type === 'and') {
+            return (text) => children.every((child) => child(text));
+        }
+        return (text) => children.some((child) => child(text));
+    }
+
+    const matches = compile(ast, false);
+    if (highlightRegexes.length === 0) {
+        throw queryError('The query needs at least one term that is not negated.');
+    }
+
+    return { ast, matches, highlightRegexes };
+}
+
+/**
+ * Finds all highlight ranges in a text, merging overlaps between regexes
+ * @param {string} text - Text to scan
+ * @param {RegExp[]} regexes - Global regexes
+ * @returns {Array<{start: number, end: number}>} - Sorted, non-overlapping ranges
+ */
+export function findMatchRanges(text, regexes) {
+    const ranges = [];
+
+    for (const regex of regexes) {
+        regex.lastIndex = 0;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            ranges.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    if (ranges.length <= 1) return ranges;
+
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (let i = 1; i < ranges.length; i++) {
+        const last = merged[merged.length - 1];
+        const range = ranges[i];
+        if (range.start < last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+    return merged;
+}
@@ -0,0 +1,193 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+
+// Matches "<book> <chapter>[:<verse>][-[<chapter>:]<verse>]"
+// e.g. "Alma 32:21", "1 Ne 3:7", "Moro. 10", "Mosiah 2:17-19", "Alma 32:21-33:2"
+const REFERENCE_PATTERN = /^(.*?)\s*(\d+)(?::(\d+))?(?:\s*[-–]\s*(?:(\d+):)?(\d+))?$/;
+
+/**
+ * Creates an error with a machine-readable code (same shape as semantic search errors)
+ */
+function referenceError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function normalizeBookText(text) {
+    return text
+        .toLowerCase()
+        .replace(/\./g, ' ')
+        .replace(/^(\d)(?=[a-z])/, '$1 ')
+        .trim()
+        .split(/\s+/)
+        .filter((word) => word.length > 0);
+}
+
+// Book names split into lowercase words, derived once from BOOK_DEFINITIONS
+const BOOK_NAME_WORDS = BOOK_DEFINITIONS.map((book) => normalizeBookText(book.name));
+
+/**
+ * Resolves a (possibly abbreviated) book name to a BOOK_DEFINITIONS index.
+ * Each word of the input must be a prefix of the matching word of the book name,
+ * so "1 Ne", "Moro.", "Hel" and "W of M" all resolve.
+ * @param {string} text - Book name or abbreviation
+ * @returns {number} - Book index
+ */
+export function resolveBookName(text) {
+    const inputWords = normalizeBookText(text);
+    if (inputWords.length === 0) {
+        throw referenceError('missing-book', 'Enter a book name, e.g. "Alma 32:21".');
+    }
+
+    const candidates = [];
+    for (let bookIndex = 0; bookIndex < BOOK_NAME_WORDS.length; bookIndex++) {
+        const nameWords = BOOK_NAME_WORDS[bookIndex];
+        if (nameWords.length !== inputWords.length) continue;
+
+        const isExact = inputWords.every((word, i) => nameWords[i] === word);
+        if (isExact) return bookIndex;
+
+        if (inputWords.every((word, i) => nameWords[i].startsWith(word))) {
+            candidates.push(bookIndex);
+        }
+    }
+
+    if (candidates.length === 1) {
+        return candidates[0];
+    }
+    if (candidates.length > 1) {
+        const names = candidates.map((index) => BOOK_DEFINITIONS[index].name).join(', ');
+        throw referenceError('ambiguous-book', `"${text.trim()}" could be ${names}.`);
+    }
+    throw referenceError('unknown-book', `Unknown book "${text.trim()}".`);
+}
+
+/**
+ * Parses a scripture reference string
+ * @param {string} input - e.g. "Alma 32:21", "1 Ne 3:7", "Moro. 10", "Mosiah 2:17-19"
+ * @returns {{bookIndex: number, book: string, chapter: number, verse: number|null, endChapter: number, endVerse: number|null}}
+ */
+export function parseReference(input) {
+    const trimmed = (input || '').trim();
+    const match = trimmed.match(REFERENCE_PATTERN);
+    if (!match) {
+        throw referenceError('invalid-format', 'Use a reference like "Alma 32:21" or "Mosiah 2:17-19".');
+    }
+
+    const [, bookText, chapterText, verseText, endChapterText, endVerseText] = match;
+    const bookIndex = resolveBookName(bookText);
+    const chapter = parseInt(chapterText, 10);
+    const verse = verseText !== undefined ? parseInt(verseText, 10) : null;
+
+    let endChapter = chapter;
+    let endVerse = verse;
+    if (endVerseText !== undefined) {
+        if (verse === null && endChapterText === undefined) {
+            // "Alma 32-33" is a chapter range
+            endChapter = parseInt(endVerseText, 10);
+        } else {
+            endChapter = endChapterText !== undefined ? parseInt(endChapterText, 10) : chapter;
+            endVerse = parseInt(endVerseText, 10);
+        }
+    }
+
+    if (endChapter < chapter || (endChapter === chapter && verse !== null && endVerse < verse)) {
+        throw referenceError('invalid-range', 'The end of the range comes before its start.');
+    }
+
+    return {
+        bookIndex,
+        book: BOOK_DEFINITIONS[bookIndex].name,
+        chapter,
+        verse,
+        endChapter,
+        endVerse
+    };
+}
+
+/**
+ * Resolves a parsed reference against verse metadata from parseBookOfMormonText
+ * @param {Object} reference - Result of parseReference
+ * @param {Array} verseMeta - Verse metadata list
+ * @returns {{startVerseIndex: number, endVerseIndex: number, label: string}}
+ */
+export function resolveReference(reference, verseMeta) {
+    const { book } = reference;
+    const chapterVerses = new Map(); // chapter -> [verseIndex...] in canonical order
+
+    for (let verseIndex = 0; verseIndex < verseMeta.length; verseIndex++) {
+        const meta = verseMeta[verseIndex];
+        if (meta.kind !== 'verse' || meta.book !== book) continue;
+        const chapter = parseInt(meta.chapter, 10);
+        let verses = chapterVerses.get(chapter);
+        if (!verses) {
+            verses = [];
+            chapterVerses.set(chapter, verses);
+        }
+        verses.push(verseIndex);
+    }
+
+    if (chapterVerses.size === 0) {
+        throw referenceError('book-not-loaded', `${book} is not in the current view. Switch to All Books.`);
+    }
+
+    let { chapter, verse, endChapter, endVerse } = reference;
+
+    // Single-chapter books are cited by verse alone ("Enos 5")
+    if (chapterVerses.size === 1 && verse === null && chapter > 1) {
+        verse = chapter;
+        endVerse = endChapter;
+        chapter = 1;
+        endChapter = 1;
+    }
+
+    const chapterCount = chapterVerses.size;
+    for (const value of [chapter, endChapter]) {
+        if (!chapterVerses.has(value)) {
+            throw referenceError(
+                'chapter-out-of-range',
+                `${book} has ${chapterCount} chapter${chapterCount !== 1 ? 's' : ''}; there is no chapter ${value}.`
+            );
+        }
+    }
+
+    const findVerse = (chapterNumber, verseNumber) => {
+        const verses = chapterVerses.get(chapterNumber);
+        const verseText = String(verseNumber);
+        const verseIndex = verses.find((index) => verseMeta[index].verse === verseText);
+        if (verseIndex === undefined) {
+            throw referenceError(
+                'verse-out-of-range',
+                `${book} ${chapterNumber} has ${verses.length} verses; there is no verse ${verseNumber}.`
+            );
+        }
+        return verseIndex;
+    };
+
+    const startVerseIndex = verse !== null ? findVerse(chapter, verse) : chapterVerses.get(chapter)[0];
+    const endVerseIndex = endVerse !== null
+        ? findVerse(endChapter, endVerse)
+        : chapterVerses.get(endChapter)[chapterVerses.get(endChapter).length - 1];
+
+    return {
+        startVerseIndex,
+        endVerseIndex,
+        label: formatReferenceLabel({ book, chapter, verse, endChapter, endVerse })
+    };
+}
+
+/**
+ * Formats a parsed reference back into canonical form, e.g. "Mosiah 2:17-19"
+ */
+export function formatReferenceLabel({ book, chapter, verse, endChapter, endVerse }) {
+    let label = `${book} ${chapter}`;
+    if (verse !== null) {
+        label += `:${verse}`;
+    }
+    if (endChapter !== chapter) {
+        label += endVerse !== null ? `-${endChapter}:${endVerse}` : `-${endChapter}`;
+    } else if (endVerse !== null && endVerse !== verse) {
+        label += `-${endVerse}`;
+    }
+    return label;
+}
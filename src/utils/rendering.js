@@ -1,6 +1,7 @@
-import { Text, Graphics, TextStyle } from 'pixi.js';
+import { Text, BitmapText, BitmapFont, Container, Graphics, RenderTexture, Sprite, TextStyle, MIPMAP_MODES } from 'pixi.js';
 import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
-import { VISUALIZATION_CONFIG, HIGHLIGHT_CONFIG, BOOK_BACKGROUND_OPACITY } from '../config.js';
+import { VISUALIZATION_CONFIG, HIGHLIGHT_CONFIG, HEATMAP_CONFIG, SELECTION_CONFIG, ANNOTATION_CONFIG, BOOK_BACKGROUND_OPACITY, TEXT_LOD_CONFIG } from '../config.js';
+import { getRampColor } from './heatmap.js';
 
 /**
  * Manages text sprite rendering with viewport culling
@@ -22,11 +23,15 @@ export class TextRenderer {
         if (this.spritePool.length > 0) {
             return this.spritePool.pop();
         }
-        const sprite = new Text('', this.textStyle);
+        const sprite = this.createSprite();
         sprite.zIndex = 2;
         return sprite;
     }
 
+    createSprite() {
+        return new Text('', this.textStyle);
+    }
+
     /**
      * Returns a sprite to the pool
      */
@@ -53,13 +58,17 @@ export class TextRenderer {
 
     /**
      * Renders visible text sprites based on viewport
+     * @param {{start: number, end: number}} [visibleColumns] - Columns to render (end
+     *   exclusive); all columns when omitted
      */
-    renderVisibleText(columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, textResolution) {
+    renderVisibleText(columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, textResolution, visibleColumns = null) {
         const visibleIndicesSet = this.visibleIndicesSet;
         visibleIndicesSet.clear();
 
-        // Render visible lines from all columns
-        for (let col = 0; col < columnLines.length; col++) {
+        // Render visible lines from on-screen columns
+        const firstColumn = visibleColumns ? visibleColumns.start : 0;
+        const lastColumn = visibleColumns ? Math.min(visibleColumns.end, columnLines.length) : columnLines.length;
+        for (let col = firstColumn; col < lastColumn; col++) {
             const colLines = columnLines[col];
             const colX = cachedColumnXPositions[col];
             const colLinesLen = colLines.length;
@@ -87,6 +96,8 @@ export class TextRenderer {
                 sprite.x = colX;
                 sprite.y = this.config.padding + lineIndex * this.config.lineHeight;
                 sprite.visible = true;
+                entry.x = sprite.x;
+                entry.y = sprite.y;
                 sprite.zIndex = 2;
 
                 if (!sprite.parent) {
@@ -107,21 +118,324 @@ export class TextRenderer {
     }
 
     /**
-     * Gets visible text sprites (for highlight rendering)
+     * Gets the rendered lines (for highlight rendering)
+     * @returns {Map<number, {x: number, y: number}>} - Line index -> top-left of the line
      */
-    getVisibleTextSprites() {
+    getVisibleLines() {
         return this.textSprites;
     }
 
     /**
-     * Cleans up all sprites
+     * @returns {{sprites: number, pooled: number}} - Sprites in use and waiting in the pool
      */
-    destroy() {
-        for (const [index, entry] of this.textSprites.entries()) {
+    getStats() {
+        return { sprites: this.textSprites.size, pooled: this.spritePool.length };
+    }
+
+    /**
+     * Returns every sprite to the pool, e.g. while a level of detail without text is shown
+     */
+    clear() {
+        for (const entry of this.textSprites.values()) {
             this.returnSprite(entry.sprite);
         }
         this.textSprites.clear();
     }
+
+    /**
+     * Cleans up all sprites
+     */
+    destroy() {
+        this.clear();
+        this.spritePool.forEach((sprite) => sprite.destroy());
+        this.spritePool = [];
+    }
+}
+
+const BITMAP_FONT_NAME = 'bom-visualizer-text';
+let installedFontKey = null;
+
+/**
+ * Renders lines as BitmapText from a glyph atlas rasterized once, at
+ * VISUALIZATION_CONFIG.bitmapFontResolution times the font size. Zooming only
+ * scales the glyph quads, so nothing is re-rasterized when the text
+ * resolution changes; mipmaps keep the atlas smooth when zoomed far out.
+ */
+export class BitmapTextRenderer extends TextRenderer {
+    /**
+     * @param {Iterable<string>} chars - Every character the text uses
+     */
+    constructor(container, config, textStyle, chars) {
+        super(container, config, textStyle);
+        BitmapTextRenderer.installFont(textStyle, chars);
+    }
+
+    /**
+     * Builds the glyph atlas, unless one for the same style and characters is installed
+     */
+    static installFont(textStyle, chars) {
+        const charList = Array.from(new Set([' ', ...chars])).sort();
+        const fontKey = JSON.stringify([textStyle.fontFamily, textStyle.fontSize, textStyle.fill, charList.join('')]);
+        if (fontKey === installedFontKey && BitmapFont.available[BITMAP_FONT_NAME]) return;
+
+        if (BitmapFont.available[BITMAP_FONT_NAME]) {
+            BitmapFont.uninstall(BITMAP_FONT_NAME);
+        }
+        BitmapFont.from(BITMAP_FONT_NAME, textStyle, {
+            chars: charList,
+            resolution: VISUALIZATION_CONFIG.bitmapFontResolution,
+            mipmap: MIPMAP_MODES.ON
+        });
+        installedFontKey = fontKey;
+    }
+
+    createSprite() {
+        return new BitmapText('', { fontName: BITMAP_FONT_NAME, fontSize: this.textStyle.fontSize });
+    }
+
+    /**
+     * Glyphs are already rasterized at high resolution
+     */
+    applyTextResolution() {}
+}
+
+/**
+ * Level-of-detail stand-ins for the text while glyphs are too small to read:
+ * - 'greeked': one bar per line, as long as the line's text
+ * - 'tiles': each column is cut into chunks of TEXT_LOD_CONFIG.tileLines lines,
+ *   rendered once into a texture at a power-of-two scale of the zoom and
+ *   cached. A few tiles are rendered per frame; until a chunk's tile is ready
+ *   it is greeked and hasPendingTiles asks for another frame.
+ * At TEXT_LOD_CONFIG.textZoomThreshold and above, the text renderer takes over.
+ */
+export class TextLodRenderer {
+    /**
+     * @param {Renderer} renderer - Pixi renderer, used to draw tiles into textures
+     * @param {Iterable<string>} chars - Every character the text uses (tiles use the glyph atlas)
+     */
+    constructor(container, config, renderer, textStyle, chars) {
+        this.container = container;
+        this.config = config;
+        this.renderer = renderer;
+        this.textStyle = textStyle;
+        this.chars = chars;
+        this.greekedGraphics = new Graphics();
+        this.greekedGraphics.zIndex = 2;
+        container.addChild(this.greekedGraphics);
+        this.tiles = new Map(); // "column:chunk" -> { sprite, texture, scale }, least recently shown first
+        this.tileStage = new Container();
+        this.tileLinePool = [];
+        this.lineWidths = [];
+        this.visibleLines = new Map();
+        this.greekedLineCount = 0;
+        this.hasPendingTiles = false;
+    }
+
+    /**
+     * Picks the level of detail for a zoom
+     * @returns {'greeked'|'tiles'|'text'}
+     */
+    static getLevel(zoom) {
+        if (zoom < TEXT_LOD_CONFIG.greekedZoomThreshold) return 'greeked';
+        if (zoom < TEXT_LOD_CONFIG.textZoomThreshold) return 'tiles';
+        return 'text';
+    }
+
+    /**
+     * Takes the widths of newly wrapped lines. Cached tiles were cut from the
+     * previous lines, so they are dropped.
+     * @param {number[]} lineWidths - Pixel width of each wrapped line, from wrapVerses
+     */
+    setLineWidths(lineWidths) {
+        this.lineWidths = lineWidths;
+        for (const key of Array.from(this.tiles.keys())) {
+            this.destroyTile(key);
+        }
+    }
+
+    /**
+     * Draws the visible lines at a level below 'text'
+     * @param {string} level - 'greeked' or 'tiles'
+     * @returns {Map<number, {x: number, y: number}>} - Visible line index -> top-left of the line
+     */
+    render(level, columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, zoom, visibleColumns = null) {
+        const { tileLines, tileRendersPerFrame, greekedColor, greekedOpacity } = TEXT_LOD_CONFIG;
+        const { padding, lineHeight } = this.config;
+        const scale = this.getTileScale(zoom);
+        const visibleTiles = new Set();
+        let tileRenders = 0;
+
+        this.hasPendingTiles = false;
+        this.visibleLines.clear();
+        this.greekedLineCount = 0;
+        this.greekedGraphics.clear();
+        this.greekedGraphics.beginFill(greekedColor, greekedOpacity);
+
+        const firstColumn = visibleColumns ? visibleColumns.start : 0;
+        const lastColumn = visibleColumns ? Math.min(visibleColumns.end, columnLines.length) : columnLines.length;
+        for (let col = firstColumn; col < lastColumn; col++) {
+            const colLines = columnLines[col];
+            const colX = cachedColumnXPositions[col];
+            const end = Math.min(visibleRange.end, colLines.length);
+            if (end <= visibleRange.start) continue;
+
+            for (let lineIndex = visibleRange.start; lineIndex < end; lineIndex++) {
+                this.visibleLines.set(linesPerColumn * col + lineIndex, { x: colX, y: padding + lineIndex * lineHeight });
+            }
+
+            if (level === 'greeked') {
+                this.drawGreekedLines(colLines, colX, visibleRange.start, end, col * linesPerColumn);
+                continue;
+            }
+
+            for (let chunk = Math.floor(visibleRange.start / tileLines); chunk <= Math.floor((end - 1) / tileLines); chunk++) {
+                const key = `${col}:${chunk}`;
+                let tile = this.tiles.get(key);
+                if ((!tile || tile.scale !== scale) && tileRenders < tileRendersPerFrame) {
+                    if (tile) this.destroyTile(key);
+                    tile = this.renderTile(colLines, colX, chunk, scale);
+                    tileRenders++;
+                }
+
+                if (!tile) {
+                    this.hasPendingTiles = true;
+                    const chunkStart = chunk * tileLines;
+                    this.drawGreekedLines(colLines, colX, Math.max(chunkStart, visibleRange.start), Math.min(chunkStart + tileLines, end), col * linesPerColumn);
+                    continue;
+                }
+
+                // A tile at another scale stands in until it is re-rendered
+                if (tile.scale !== scale) this.hasPendingTiles = true;
+                tile.sprite.x = colX;
+                this.tiles.delete(key);
+                this.tiles.set(key, tile);
+                visibleTiles.add(key);
+            }
+        }
+
+        this.greekedGraphics.endFill();
+        for (const [key, tile] of this.tiles) {
+            tile.sprite.visible = visibleTiles.has(key);
+        }
+        this.evictTiles(visibleTiles);
+        return this.visibleLines;
+    }
+
+    drawGreekedLines(colLines, colX, start, end, columnStart) {
+        const { padding, lineHeight } = this.config;
+        const barHeight = lineHeight * TEXT_LOD_CONFIG.greekedHeightRatio;
+        const barOffset = (lineHeight - barHeight) / 2;
+        for (let lineIndex = start; lineIndex < end; lineIndex++) {
+            const width = this.lineWidths[columnStart + lineIndex] ?? 0;
+            if (width === 0 || colLines[lineIndex].trim().length === 0) continue;
+            this.greekedLineCount++;
+            this.greekedGraphics.drawRect(colX, padding + lineIndex * lineHeight + barOffset, width, barHeight);
+        }
+    }
+
+    /**
+     * Texture scale for tiles at a zoom: the next power of two at or above the
+     * on-screen scale, so small zoom changes reuse the same tiles
+     */
+    getTileScale(zoom) {
+        const screenScale = zoom * this.renderer.resolution;
+        return Math.min(TEXT_LOD_CONFIG.maxTileScale, 2 ** Math.ceil(Math.log2(screenScale)));
+    }
+
+    renderTile(colLines, colX, chunk, scale) {
+        BitmapTextRenderer.installFont(this.textStyle, this.chars);
+        const { padding, lineHeight, charWidth, lineWidth } = this.config;
+        const startLine = chunk * TEXT_LOD_CONFIG.tileLines;
+        const chunkLines = colLines.slice(startLine, startLine + TEXT_LOD_CONFIG.tileLines);
+
+        chunkLines.forEach((lineText, i) => {
+            let text = this.tileLinePool[i];
+            if (!text) {
+                text = new BitmapText('', { fontName: BITMAP_FONT_NAME, fontSize: this.textStyle.fontSize });
+                this.tileLinePool.push(text);
+                this.tileStage.addChild(text);
+            }
+            text.text = lineText;
+            text.y = i * lineHeight;
+            text.visible = true;
+        });
+        for (let i = chunkLines.length; i < this.tileLinePool.length; i++) {
+            this.tileLinePool[i].visible = false;
+        }
+
+        this.tileStage.scale.set(scale);
+        const texture = RenderTexture.create({
+            width: Math.ceil((lineWidth + 2) * charWidth * scale),
+            height: Math.ceil(chunkLines.length * lineHeight * scale),
+            resolution: 1
+        });
+        this.renderer.render(this.tileStage, { renderTexture: texture, clear: true });
+
+        const sprite = new Sprite(texture);
+        sprite.scale.set(1 / scale);
+        sprite.x = colX;
+        sprite.y = padding + startLine * lineHeight;
+        sprite.zIndex = 2;
+        this.container.addChild(sprite);
+        return { sprite, texture, scale };
+    }
+
+    /**
+     * Drops the least recently shown tiles beyond TEXT_LOD_CONFIG.maxCachedTiles
+     */
+    evictTiles(visibleTiles) {
+        for (const key of this.tiles.keys()) {
+            if (this.tiles.size <= TEXT_LOD_CONFIG.maxCachedTiles) break;
+            if (!visibleTiles.has(key)) this.destroyTile(key);
+        }
+    }
+
+    destroyTile(key) {
+        const tile = this.tiles.get(key);
+        if (!tile) return;
+        if (tile.sprite.parent) {
+            tile.sprite.parent.removeChild(tile.sprite);
+        }
+        tile.sprite.destroy();
+        tile.texture.destroy(true);
+        this.tiles.delete(key);
+    }
+
+    /**
+     * @returns {{greekedLines: number, visibleTiles: number, cachedTiles: number}}
+     */
+    getStats() {
+        let visibleTiles = 0;
+        for (const tile of this.tiles.values()) {
+            if (tile.sprite.visible) visibleTiles++;
+        }
+        return { greekedLines: this.greekedLineCount, visibleTiles, cachedTiles: this.tiles.size };
+    }
+
+    /**
+     * Hides the stand-ins while real text is shown; tiles stay cached
+     */
+    clear() {
+        this.greekedGraphics.clear();
+        this.greekedLineCount = 0;
+        for (const tile of this.tiles.values()) {
+            tile.sprite.visible = false;
+        }
+        this.visibleLines.clear();
+        this.hasPendingTiles = false;
+    }
+
+    destroy() {
+        for (const key of Array.from(this.tiles.keys())) {
+            this.destroyTile(key);
+        }
+        this.tileStage.destroy({ children: true });
+        this.tileLinePool = [];
+        if (this.greekedGraphics.parent) {
+            this.greekedGraphics.parent.removeChild(this.greekedGraphics);
+        }
+        this.greekedGraphics.destroy();
+    }
 }
 
 /**
@@ -133,14 +447,18 @@ export class BookBackgroundRenderer {
         this.config = config;
         this.graphics = new Graphics();
         this.graphics.zIndex = 0;
+        this.regionCount = 0;
         container.addChild(this.graphics);
     }
 
     /**
      * Renders book background bands
+     * @param {{start: number, end: number}} [visibleColumns] - Columns to draw (end
+     *   exclusive); all columns when omitted
      */
-    render(bookRegions, cachedColumnXPositions, columnWidth, zoom, visibleRange) {
+    render(bookRegions, cachedColumnXPositions, columnWidth, zoom, visibleRange, visibleColumns = null) {
         this.graphics.clear();
+        this.regionCount = 0;
 
         if (bookRegions.length === 0) return;
 
@@ -154,6 +472,7 @@ export class BookBackgroundRenderer {
 
             // Skip if region is outside visible range
             if (endLine < rangeStart || startLine > rangeEnd) continue;
+            if (visibleColumns && (column < visibleColumns.start || column >= visibleColumns.end)) continue;
 
             // Clip to visible range
             const visibleStart = startLine > rangeStart ? startLine : rangeStart;
@@ -168,9 +487,17 @@ export class BookBackgroundRenderer {
             this.graphics.beginFill(color, opacity);
             this.graphics.drawRect(x, y, width, height);
             this.graphics.endFill();
+            this.regionCount++;
         }
     }
 
+    /**
+     * @returns {{regions: number}} - Book bands drawn by the last render
+     */
+    getStats() {
+        return { regions: this.regionCount };
+    }
+
     _calculateOpacity(zoom) {
         if (zoom < BOOK_BACKGROUND_OPACITY.veryZoomedOutThreshold) {
             return BOOK_BACKGROUND_OPACITY.veryZoomedOut;
@@ -197,16 +524,21 @@ export class HighlightRenderer {
         this.container = container;
         this.config = config;
         this.highlightGraphics = new Graphics();
-        this.highlightSprites = new Map();
-        this.visibleMatchIndices = new Set();
+        this.highlightSprites = new Map(); // "matchIndex:lineIndex" -> Graphics
+        this.visibleSegmentKeys = new Set();
         this.highlightGraphics.zIndex = 1;
         container.addChild(this.highlightGraphics);
     }
 
     /**
      * Updates highlights based on search matches
+     * @param {Map<number, {x: number, y: number}>} visibleLines - Rendered lines, from the
+     *   text renderer or the level-of-detail renderer. Only matches on these lines are
+     *   drawn, so off-screen rows and columns are culled along with the text.
+     * @param {Function} [getScoreStyle] - (match) => { color, opacity } for scored (semantic)
+     *   matches, or null to use the flat highlight colors
      */
-    updateHighlights(searchManager, textSprites, zoom, jumpToMatchCallback) {
+    updateHighlights(searchManager, visibleLines, zoom, jumpToMatchCallback, getScoreStyle = null) {
         // Clear old highlight graphics
         this.highlightGraphics.clear();
 
@@ -216,41 +548,47 @@ export class HighlightRenderer {
             return;
         }
 
-        const visibleMatchIndices = this.visibleMatchIndices;
-        visibleMatchIndices.clear();
+        const visibleSegmentKeys = this.visibleSegmentKeys;
+        visibleSegmentKeys.clear();
         const highlightStyle = this._getHighlightStyle(zoom);
 
         // Create clickable highlights for currently rendered lines only
-        for (const [originalIndex, textEntry] of textSprites.entries()) {
-            if (!textEntry || !textEntry.sprite.visible) continue;
+        for (const [originalIndex, linePosition] of visibleLines) {
 
             const lineMatches = searchManager.getMatchesForLine(originalIndex);
             if (!lineMatches || lineMatches.length === 0) continue;
 
-            const textSprite = textEntry.sprite;
-
             for (const matchIndex of lineMatches) {
                 const match = searchManager.getMatch(matchIndex);
                 if (!match) continue;
 
-                visibleMatchIndices.add(matchIndex);
+                // A match can span several wrapped lines; draw this line's part
+                const segment = match.segments.find((entry) => entry.lineIndex === originalIndex);
+                if (!segment) continue;
 
-                const { startChar, endChar, lineText } = match;
+                const segmentKey = `${matchIndex}:${originalIndex}`;
+                visibleSegmentKeys.add(segmentKey);
+
+                const { startChar, endChar, lineText } = segment;
+                const scoreStyle = getScoreStyle && match.score !== undefined ? getScoreStyle(match) : null;
+                const fillColor = scoreStyle ? scoreStyle.color : highlightStyle.fillColor;
+                const fillOpacity = scoreStyle ? scoreStyle.opacity : highlightStyle.fillOpacity;
+                const borderColor = scoreStyle ? scoreStyle.color : highlightStyle.borderColor;
+                const borderAlpha = scoreStyle ? scoreStyle.opacity : 1.0;
 
                 // Calculate position of the match within the line
-                const beforeMatch = lineText.substring(0, startChar);
-                // Approximate character positions (monospace font)
-                const beforeWidth = beforeMatch.length * this.config.charWidth;
-                const matchWidth = (endChar - startChar) * this.config.charWidth;
+                const { textMeasurer } = this.config;
+                const beforeWidth = textMeasurer.getOffset(lineText, startChar);
+                const matchWidth = textMeasurer.getOffset(lineText, endChar) - beforeWidth;
 
                 // Apply padding to make highlights larger at low zoom
-                const x = textSprite.x + beforeWidth - highlightStyle.padding;
-                const y = textSprite.y - highlightStyle.padding;
+                const x = linePosition.x + beforeWidth - highlightStyle.padding;
+                const y = linePosition.y - highlightStyle.padding;
                 const width = matchWidth + highlightStyle.padding * 2;
                 const height = this.config.lineHeight + highlightStyle.padding * 2;
 
                 // Get or create a Graphics object for this highlight
-                let highlightGraphic = this.highlightSprites.get(matchIndex);
+                let highlightGraphic = this.highlightSprites.get(segmentKey);
                 if (!highlightGraphic) {
                     highlightGraphic = new Graphics();
                     highlightGraphic.eventMode = 'static';
@@ -265,7 +603,7 @@ export class HighlightRenderer {
                     });
 
                     this.container.addChild(highlightGraphic);
-                    this.highlightSprites.set(matchIndex, highlightGraphic);
+                    this.highlightSprites.set(segmentKey, highlightGraphic);
                 }
 
                 // Update the highlight graphics
@@ -274,32 +612,32 @@ export class HighlightRenderer {
                 highlightGraphic.y = y;
 
                 // Draw fill
-                highlightGraphic.beginFill(highlightStyle.fillColor, highlightStyle.fillOpacity);
+                highlightGraphic.beginFill(fillColor, fillOpacity);
                 highlightGraphic.drawRect(0, 0, width, height);
                 highlightGraphic.endFill();
 
                 // Draw border
-                highlightGraphic.lineStyle(highlightStyle.borderWidth, highlightStyle.borderColor, 1.0);
+                highlightGraphic.lineStyle(highlightStyle.borderWidth, borderColor, borderAlpha);
                 highlightGraphic.drawRect(0, 0, width, height);
                 highlightGraphic.lineStyle(0);
 
                 // Also draw to the main highlightGraphics for backward compatibility
-                this.highlightGraphics.beginFill(highlightStyle.fillColor, highlightStyle.fillOpacity);
+                this.highlightGraphics.beginFill(fillColor, fillOpacity);
                 this.highlightGraphics.drawRect(x, y, width, height);
                 this.highlightGraphics.endFill();
-                this.highlightGraphics.lineStyle(highlightStyle.borderWidth, highlightStyle.borderColor, 1.0);
+                this.highlightGraphics.lineStyle(highlightStyle.borderWidth, borderColor, borderAlpha);
                 this.highlightGraphics.drawRect(x, y, width, height);
                 this.highlightGraphics.lineStyle(0);
             }
         }
 
         // Remove highlight sprites that are no longer visible
-        for (const [matchIndex, graphic] of this.highlightSprites.entries()) {
-            if (!visibleMatchIndices.has(matchIndex)) {
+        for (const [segmentKey, graphic] of this.highlightSprites.entries()) {
+            if (!visibleSegmentKeys.has(segmentKey)) {
                 if (graphic.parent) {
                     graphic.parent.removeChild(graphic);
                 }
-                this.highlightSprites.delete(matchIndex);
+                this.highlightSprites.delete(segmentKey);
             }
         }
     }
@@ -319,6 +657,21 @@ export class HighlightRenderer {
         return HIGHLIGHT_CONFIG.normal;
     }
 
+    /**
+     * @returns {{highlights: number}} - Highlight segments currently drawn
+     */
+    getStats() {
+        return { highlights: this.highlightSprites.size };
+    }
+
+    /**
+     * Removes every highlight, e.g. while another layer stands in for them
+     */
+    clear() {
+        this.highlightGraphics.clear();
+        this._removeAllHighlights();
+    }
+
     _removeAllHighlights() {
         this.highlightSprites.forEach((graphic) => {
             if (graphic.parent) {
@@ -336,3 +689,259 @@ export class HighlightRenderer {
         this.highlightGraphics.destroy();
     }
 }
+
+/**
+ * Renders additional search terms as colored layers beneath the main search highlights.
+ * Zoomed in, each layer takes its own horizontal band of the matched text so
+ * overlapping terms stay visible; zoomed out, each layer gets its own vertical
+ * lane across the column so co-occurring terms show up side by side.
+ */
+export class HighlightLayerRenderer {
+    constructor(container, config) {
+        this.container = container;
+        this.config = config;
+        this.graphics = new Graphics();
+        this.graphics.zIndex = 0.8;
+        container.addChild(this.graphics);
+    }
+
+    /**
+     * Draws only the segments on lines that are on screen, walking the visible
+     * columns the same way the text renderer does
+     * @param {Array<{color: number, visible: boolean, searchManager: SearchManager}>} layers
+     */
+    render(layers, columnLines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange, visibleColumns, zoom) {
+        this.graphics.clear();
+        const visibleLayers = layers.filter((layer) => layer.visible && layer.searchManager.getResultCount() > 0);
+        if (visibleLayers.length === 0) return;
+
+        const { textMeasurer, lineHeight, padding } = this.config;
+        const isZoomedOut = zoom < HIGHLIGHT_CONFIG.zoomedOut.zoomThreshold;
+        const minSize = HIGHLIGHT_CONFIG.layers.minScreenSize / zoom;
+        const bandHeight = lineHeight / visibleLayers.length;
+        const laneWidth = columnWidth / visibleLayers.length;
+        const lastColumn = Math.min(visibleColumns.end, columnLines.length);
+
+        visibleLayers.forEach((layer, layerIndex) => {
+            this.graphics.beginFill(layer.color, HIGHLIGHT_CONFIG.layers.fillOpacity);
+            for (let col = visibleColumns.start; col < lastColumn; col++) {
+                const colX = cachedColumnXPositions[col];
+                const colLinesLen = columnLines[col].length;
+                for (let columnLine = visibleRange.start; columnLine < visibleRange.end && columnLine < colLinesLen; columnLine++) {
+                    const lineIndex = linesPerColumn * col + columnLine;
+                    const lineMatches = layer.searchManager.getMatchesForLine(lineIndex);
+                    if (lineMatches.length === 0) continue;
+
+                    const y = padding + columnLine * lineHeight;
+                    if (isZoomedOut) {
+                        this.graphics.drawRect(colX + laneWidth * layerIndex, y, laneWidth, Math.max(lineHeight, minSize));
+                        continue;
+                    }
+
+                    for (const matchIndex of lineMatches) {
+                        const segment = layer.searchManager.getMatch(matchIndex)?.segments
+                            .find((entry) => entry.lineIndex === lineIndex);
+                        if (!segment) continue;
+
+                        const startX = textMeasurer.getOffset(segment.lineText, segment.startChar);
+                        const endX = textMeasurer.getOffset(segment.lineText, segment.endChar);
+                        this.graphics.drawRect(
+                            colX + startX,
+                            y + bandHeight * layerIndex,
+                            Math.max(endX - startX, minSize),
+                            bandHeight
+                        );
+                    }
+                }
+            }
+            this.graphics.endFill();
+        });
+    }
+
+    destroy() {
+        if (this.graphics.parent) {
+            this.graphics.parent.removeChild(this.graphics);
+        }
+        this.graphics.destroy();
+    }
+}
+
+/**
+ * Paints binned match density over the columns, one color-ramped band per bin
+ */
+export class HeatmapRenderer {
+    constructor(container, config) {
+        this.container = container;
+        this.config = config;
+        this.graphics = new Graphics();
+        this.graphics.zIndex = 2;
+        container.addChild(this.graphics);
+    }
+
+    /**
+     * @param {{bins: Array<{startLine: number, endLine: number, value: number}>, rampMin: number, max: number}|null} heatmap
+     */
+    render(heatmap, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange) {
+        this.graphics.clear();
+        if (!heatmap || heatmap.bins.length === 0) return;
+
+        const { lineHeight, padding } = this.config;
+        const numColumns = cachedColumnXPositions.length;
+        const range = heatmap.max - heatmap.rampMin || 1;
+
+        for (const bin of heatmap.bins) {
+            this.graphics.beginFill(getRampColor((bin.value - heatmap.rampMin) / range), HEATMAP_CONFIG.opacity);
+
+            // A bin can continue from the bottom of one column to the top of the next
+            const firstColumn = Math.min(Math.floor(bin.startLine / linesPerColumn), numColumns - 1);
+            const lastColumn = Math.min(Math.floor(bin.endLine / linesPerColumn), numColumns - 1);
+            for (let col = firstColumn; col <= lastColumn; col++) {
+                const columnStart = col * linesPerColumn;
+                const firstLine = Math.max(visibleRange.start, bin.startLine - columnStart);
+                const lastLine = Math.min(visibleRange.end, bin.endLine - columnStart);
+                if (lastLine < firstLine) continue;
+
+                this.graphics.drawRect(
+                    cachedColumnXPositions[col],
+                    padding + firstLine * lineHeight,
+                    columnWidth,
+                    (lastLine - firstLine + 1) * lineHeight
+                );
+            }
+            this.graphics.endFill();
+        }
+    }
+
+    clear() {
+        this.graphics.clear();
+    }
+
+    destroy() {
+        if (this.graphics.parent) {
+            this.graphics.parent.removeChild(this.graphics);
+        }
+        this.graphics.destroy();
+    }
+}
+
+/**
+ * Renders the user's text selection for the visible lines
+ */
+export class SelectionRenderer {
+    constructor(container, config) {
+        this.container = container;
+        this.config = config;
+        this.graphics = new Graphics();
+        this.graphics.zIndex = 1;
+        container.addChild(this.graphics);
+    }
+
+    /**
+     * Draws one rectangle per selected wrapped line inside the visible range
+     * @param {{startLine: number, startChar: number, endLine: number, endChar: number}|null} selection
+     */
+    render(selection, lines, columnLines, cachedColumnXPositions, linesPerColumn, visibleRange) {
+        this.graphics.clear();
+        if (!selection) return;
+
+        const { textMeasurer, lineHeight, padding } = this.config;
+        this.graphics.beginFill(SELECTION_CONFIG.fillColor, SELECTION_CONFIG.fillOpacity);
+
+        for (let col = 0; col < columnLines.length; col++) {
+            const columnStart = col * linesPerColumn;
+            // Skip columns that do not intersect the selection
+            if (columnStart > selection.endLine || columnStart + columnLines[col].length <= selection.startLine) continue;
+
+            const firstLine = Math.max(visibleRange.start, selection.startLine - columnStart);
+            const lastLine = Math.min(visibleRange.end, columnLines[col].length - 1, selection.endLine - columnStart);
+
+            for (let columnLine = firstLine; columnLine <= lastLine; columnLine++) {
+                const lineIndex = columnStart + columnLine;
+                const lineText = lines[lineIndex] ?? '';
+                const startChar = lineIndex === selection.startLine ? selection.startChar : 0;
+                const endChar = lineIndex === selection.endLine ? selection.endChar : lineText.length;
+                if (endChar <= startChar) continue;
+
+                const startX = textMeasurer.getOffset(lineText, startChar);
+                this.graphics.drawRect(
+                    cachedColumnXPositions[col] + startX,
+                    padding + columnLine * lineHeight,
+                    textMeasurer.getOffset(lineText, endChar) - startX,
+                    lineHeight
+                );
+            }
+        }
+
+        this.graphics.endFill();
+    }
+
+    destroy() {
+        if (this.graphics.parent) {
+            this.graphics.parent.removeChild(this.graphics);
+        }
+        this.graphics.destroy();
+    }
+}
+
+/**
+ * Renders personal annotations (highlights, bookmarks, notes) below search highlights
+ */
+export class AnnotationRenderer {
+    constructor(container, config) {
+        this.container = container;
+        this.config = config;
+        this.graphics = new Graphics();
+        this.graphics.zIndex = 0.5;
+        container.addChild(this.graphics);
+    }
+
+    /**
+     * Draws annotations for the visible lines:
+     * a colored fill for highlights, a bar left of the column for bookmarks
+     * and a dot right of the column on the first line of an annotated note
+     * @param {Map<number, {color: number|null, bookmarked: boolean, hasNote: boolean, isFirstLine: boolean}>} lineAnnotations
+     */
+    render(lineAnnotations, lines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange) {
+        this.graphics.clear();
+        if (lineAnnotations.size === 0) return;
+
+        const { textMeasurer, lineHeight, padding } = this.config;
+        const numColumns = cachedColumnXPositions.length;
+
+        for (const [lineIndex, annotation] of lineAnnotations) {
+            const col = Math.min(Math.floor(lineIndex / linesPerColumn), numColumns - 1);
+            const columnLine = lineIndex - col * linesPerColumn;
+            if (columnLine < visibleRange.start || columnLine > visibleRange.end) continue;
+
+            const x = cachedColumnXPositions[col];
+            const y = padding + columnLine * lineHeight;
+
+            if (annotation.color !== null) {
+                const width = textMeasurer.measure(lines[lineIndex] ?? '');
+                this.graphics.beginFill(annotation.color, ANNOTATION_CONFIG.highlightOpacity);
+                this.graphics.drawRect(x, y, width, lineHeight);
+                this.graphics.endFill();
+            }
+
+            if (annotation.bookmarked) {
+                this.graphics.beginFill(ANNOTATION_CONFIG.bookmarkColor, 1);
+                this.graphics.drawRect(x - ANNOTATION_CONFIG.markerGap - ANNOTATION_CONFIG.bookmarkWidth, y, ANNOTATION_CONFIG.bookmarkWidth, lineHeight);
+                this.graphics.endFill();
+            }
+
+            if (annotation.hasNote && annotation.isFirstLine) {
+                const radius = lineHeight / 4;
+                this.graphics.beginFill(ANNOTATION_CONFIG.noteColor, 1);
+                this.graphics.drawCircle(x + columnWidth + ANNOTATION_CONFIG.markerGap + radius, y + lineHeight / 2, radius);
+                this.graphics.endFill();
+            }
+        }
+    }
+
+    destroy() {
+        if (this.graphics.parent) {
+            this.graphics.parent.removeChild(this.graphics);
+        }
+        this.graphics.destroy();
+    }
+}
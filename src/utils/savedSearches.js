@@ -0,0 +1,157 @@
+import { SAVED_SEARCH_CONFIG } from '../config.js';
+import { serializeScope } from './urlState.js';
+
+const STORAGE_KEY = 'bom-visualizer-searches';
+
+/**
+ * Identifies a search by everything that affects its results, so the same
+ * query in a different mode, threshold or scope is a different entry
+ */
+export function getSearchKey(search) {
+    return JSON.stringify([
+        search.query,
+        Boolean(search.semantic),
+        Boolean(search.semantic && search.hybrid),
+        search.semantic ? search.threshold ?? null : null,
+        serializeScope(search.scope),
+        search.semantic ? false : Boolean(search.caseSensitive),
+        search.semantic ? false : Boolean(search.wholeWord)
+    ]);
+}
+
+/**
+ * Describes a search's mode and options, e.g. "semantic ≥ 0.30" or "lexical, match case"
+ */
+export function describeSearch(search) {
+    const parts = [];
+    if (search.semantic) {
+        const mode = search.hybrid ? 'hybrid' : 'semantic';
+        parts.push(search.threshold !== null && search.threshold !== undefined
+            ? `${mode} ≥ ${Number(search.threshold).toFixed(2)}`
+            : mode);
+    } else {
+        parts.push('lexical');
+        if (search.caseSensitive) parts.push('match case');
+        if (search.wholeWord) parts.push('whole word');
+    }
+    const scope = serializeScope(search.scope);
+    if (scope) parts.push(scope);
+    return parts.join(', ');
+}
+
+function toRecord(search) {
+    return {
+        name: search.name || search.query,
+        query: search.query,
+        semantic: Boolean(search.semantic),
+        hybrid: Boolean(search.semantic && search.hybrid),
+        threshold: search.threshold ?? null,
+        scope: search.scope || { type: 'all' },
+        caseSensitive: Boolean(search.caseSensitive),
+        wholeWord: Boolean(search.wholeWord),
+        count: Number.isFinite(search.count) ? search.count : null,
+        updatedAt: search.updatedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Search history and named saved searches, kept in localStorage.
+ * History holds the most recent distinct searches, newest first; saved
+ * searches are unique by name. Falls back to memory when storage is unavailable.
+ * Dispatches 'saved-searches-changed' on window after every change.
+ */
+export class SavedSearchStore {
+    constructor() {
+        this.history = [];
+        this.saved = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+            if (data) {
+                this.history = Array.isArray(data.history) ? data.history.map(toRecord) : [];
+                this.saved = Array.isArray(data.saved) ? data.saved.map(toRecord) : [];
+            }
+        } catch (error) {
+            console.warn('Saved searches could not be loaded:', error);
+        }
+    }
+
+    persist() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                history: this.history,
+                saved: this.saved
+            }));
+        } catch (error) {
+            console.warn('Saved searches will not persist:', error);
+        }
+        window.dispatchEvent(new CustomEvent('saved-searches-changed'));
+    }
+
+    getHistory() {
+        return [...this.history];
+    }
+
+    getSaved() {
+        return [...this.saved];
+    }
+
+    /**
+     * Moves a search to the top of the history, replacing an earlier run of the same search
+     * @param {Object} search - { query, semantic, hybrid, threshold, scope, caseSensitive, wholeWord, count }
+     */
+    recordHistory(search) {
+        const record = toRecord({ ...search, name: search.query, updatedAt: null });
+        const key = getSearchKey(record);
+        this.history = [record, ...this.history.filter((entry) => getSearchKey(entry) !== key)]
+            .slice(0, SAVED_SEARCH_CONFIG.historyLimit);
+
+        // Keep saved searches' last known counts current too
+        this.saved = this.saved.map((entry) => (getSearchKey(entry) === key
+            ? { ...entry, count: record.count }
+            : entry));
+        this.persist();
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.persist();
+    }
+
+    /**
+     * Saves a search under a name, overwriting any saved search with that name
+     */
+    save(name, search) {
+        const record = toRecord({ ...search, name: name.trim(), updatedAt: null });
+        this.saved = [
+            ...this.saved.filter((entry) => entry.name !== record.name),
+            record
+        ].sort((a, b) => a.name.localeCompare(b.name));
+        this.persist();
+        return record;
+    }
+
+    remove(name) {
+        this.saved = this.saved.filter((entry) => entry.name !== name);
+        this.persist();
+    }
+
+    /**
+     * Imports validated searches as saved searches
+     * @param {Array} searches - Records from parseImport
+     * @param {Object} options - { replace: true } discards existing saved searches first
+     * @returns {number} - Number of searches imported
+     */
+    importSearches(searches, { replace = false } = {}) {
+        const byName = new Map(replace ? [] : this.saved.map((entry) => [entry.name, entry]));
+        for (const search of searches) {
+            byName.set(search.name, toRecord({ ...search, updatedAt: null }));
+        }
+        this.saved = Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+        this.persist();
+        return searches.length;
+    }
+}
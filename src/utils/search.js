@@ -1,3 +1,6 @@
+import { compileQuery, findMatchRanges } from './query.js';
+import { createVerseProjection } from './textProcessing.js';
+
 /**
  * Search functionality for finding text matches in lines
  */
@@ -10,51 +13,103 @@ export class SearchManager {
     }
 
     /**
-     * Performs a search across all lines
-     * @param {string[]} lines - Lines to search
-     * @param {string} term - Search term
+     * Performs a query search. The query is evaluated against each verse's
+     * full text and every hit is projected back onto the wrapped lines it
+     * covers, so a phrase broken across a line wrap is still one match.
+     * @param {string[]} lines - Wrapped lines
+     * @param {string} term - Query text (see query.js for the syntax)
+     * @param {Object} options - { verses, verseStartLines, verseFilter, index, caseSensitive, wholeWord }.
+     *   Without verses, each line is treated as its own verse. verseFilter(verseIndex)
+     *   limits the search to a scope without re-wrapping the text. index, a
+     *   VerseSearchIndex built over the same verses, narrows the query to the
+     *   verses that can match instead of scanning them all.
      * @returns {number} - Number of matches found
+     * @throws {Error} - With code 'query-syntax' or 'invalid-regex' for invalid queries
      */
-    performSearch(lines, term) {
-        this.searchMatches = [];
-        this.matchesByLine.clear();
-        this.searchResultCount = 0;
-        this.currentMatchIndex = -1;
+    performSearch(lines, term, options = {}) {
+        this.clear();
 
-        if (!term || term.length < 3) {
+        if (!term || term.trim().length === 0) {
             return 0;
         }
 
-        const searchRegex = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
-
-        lines.forEach((line, lineIndex) => {
-            let match;
-            searchRegex.lastIndex = 0;
-            while ((match = searchRegex.exec(line)) !== null) {
-                this.searchMatches.push({
-                    lineIndex,
-                    startChar: match.index,
-                    endChar: match.index + match[0].length,
-                    lineText: line,
-                });
-                this.searchResultCount++;
+        const query = compileQuery(term, options);
+        const verses = options.verses ?? lines;
+        const verseStartLines = options.verseStartLines ?? null;
+        const verseFilter = options.verseFilter ?? null;
+        const candidates = options.index?.getCandidates(term) ?? verses.keys();
 
-                const matchIndex = this.searchMatches.length - 1;
-                let lineMatches = this.matchesByLine.get(lineIndex);
-                if (!lineMatches) {
-                    lineMatches = [];
-                    this.matchesByLine.set(lineIndex, lineMatches);
-                }
-                lineMatches.push(matchIndex);
+        for (const verseIndex of candidates) {
+            if (verseFilter && !verseFilter(verseIndex)) continue;
+
+            const verseText = verses[verseIndex];
+            if (!verseText || !query.matches(verseText)) continue;
+
+            const ranges = findMatchRanges(verseText, query.highlightRegexes);
+            if (ranges.length === 0) continue;
+
+            const startLine = verseStartLines ? verseStartLines[verseIndex] : verseIndex;
+            const endLine = !verseStartLines
+                ? verseIndex
+                : verseIndex + 1 < verseStartLines.length
+                    ? verseStartLines[verseIndex + 1] - 1
+                    : lines.length - 1;
+            const project = createVerseProjection(verseText, lines, startLine, endLine);
+
+            for (const range of ranges) {
+                const segments = project(range.start, range.end);
+                if (segments.length === 0) continue;
+
+                const first = segments[0];
+                this._addMatch({
+                    lineIndex: first.lineIndex,
+                    startChar: first.startChar,
+                    endChar: first.endChar,
+                    lineText: first.lineText,
+                    verseIndex: verseStartLines ? verseIndex : undefined,
+                    verseStart: range.start,
+                    verseEnd: range.end,
+                    segments
+                });
             }
-        });
+        }
 
         return this.searchResultCount;
     }
 
+    _addMatch(match) {
+        this.searchMatches.push(match);
+        this.searchResultCount++;
+        this._indexMatch(match, this.searchMatches.length - 1);
+    }
+
+    /**
+     * Registers a match under every wrapped line it covers
+     */
+    _indexMatch(match, matchIndex) {
+        if (!match.segments) {
+            match.segments = [{
+                lineIndex: match.lineIndex,
+                startChar: match.startChar,
+                endChar: match.endChar,
+                lineText: match.lineText
+            }];
+        }
+
+        for (const segment of match.segments) {
+            let lineMatches = this.matchesByLine.get(segment.lineIndex);
+            if (!lineMatches) {
+                lineMatches = [];
+                this.matchesByLine.set(segment.lineIndex, lineMatches);
+            }
+            lineMatches.push(matchIndex);
+        }
+    }
+
     /**
      * Sets matches directly (used for semantic search results)
-     * @param {Array} matches - Array of match objects
+     * @param {Array} matches - Array of match objects; those without
+     *   segments are treated as covering only their own line
      */
     setMatches(matches) {
         this.searchMatches = matches;
@@ -63,13 +118,75 @@ export class SearchManager {
         this.currentMatchIndex = -1;
 
         matches.forEach((match, matchIndex) => {
-            let lineMatches = this.matchesByLine.get(match.lineIndex);
-            if (!lineMatches) {
-                lineMatches = [];
-                this.matchesByLine.set(match.lineIndex, lineMatches);
+            this._indexMatch(match, matchIndex);
+        });
+    }
+
+    /**
+     * Moves the matches onto re-wrapped lines, keeping the current match.
+     * Query matches are projected again from their verse offsets; whole-line
+     * matches (semantic results, reference highlights) become one match per
+     * new line of their verse. Matches without a verseIndex are dropped.
+     * @param {string[]} lines - The new wrapped lines
+     * @param {string[]} verses - Verse texts the matches were found in
+     * @param {number[]} verseStartLines - The new first wrapped line of each verse
+     * @returns {number[]} - Old match index -> new index of its (first) match
+     */
+    remapMatches(lines, verses, verseStartLines) {
+        const remapped = [];
+        const indexMap = [];
+        const getEndLine = (verseIndex) => (verseIndex + 1 < verseStartLines.length
+            ? verseStartLines[verseIndex + 1] - 1
+            : lines.length - 1);
+        let projectedVerse = -1;
+        let project = null;
+        let runVerse = -1;
+        let runStart = -1;
+
+        this.searchMatches.forEach((match, matchIndex) => {
+            const { verseIndex } = match;
+            if (verseIndex === undefined || verseStartLines[verseIndex] === undefined) return;
+
+            if (match.verseStart !== undefined) {
+                runVerse = -1;
+                // Matches arrive in verse order, so one projection serves a verse's matches
+                if (verseIndex !== projectedVerse) {
+                    projectedVerse = verseIndex;
+                    project = createVerseProjection(verses[verseIndex], lines, verseStartLines[verseIndex], getEndLine(verseIndex));
+                }
+                const segments = project(match.verseStart, match.verseEnd);
+                if (segments.length === 0) return;
+                const first = segments[0];
+                indexMap[matchIndex] = remapped.length;
+                remapped.push({
+                    ...match,
+                    lineIndex: first.lineIndex,
+                    startChar: first.startChar,
+                    endChar: first.endChar,
+                    lineText: first.lineText,
+                    segments
+                });
+                return;
             }
-            lineMatches.push(matchIndex);
+
+            // The first whole-line match of a verse rebuilds the verse's run
+            if (verseIndex !== runVerse) {
+                runVerse = verseIndex;
+                runStart = remapped.length;
+                const { segments, ...rest } = match;
+                for (let lineIndex = verseStartLines[verseIndex]; lineIndex <= getEndLine(verseIndex); lineIndex++) {
+                    const lineText = lines[lineIndex];
+                    if (!lineText) continue;
+                    remapped.push({ ...rest, lineIndex, startChar: 0, endChar: lineText.length, lineText });
+                }
+            }
+            indexMap[matchIndex] = runStart;
         });
+
+        const currentMatchIndex = this.currentMatchIndex;
+        this.setMatches(remapped);
+        this.currentMatchIndex = indexMap[currentMatchIndex] ?? -1;
+        return indexMap;
     }
 
     /**
@@ -134,6 +251,50 @@ export class SearchManager {
         return this.currentMatchIndex;
     }
 
+    /**
+     * Moves to previous match, wrapping around
+     * @returns {number} - New match index
+     */
+    moveToPreviousMatch() {
+        if (this.searchMatches.length === 0) {
+            return -1;
+        }
+        const count = this.searchMatches.length;
+        this.currentMatchIndex = this.currentMatchIndex <= 0
+            ? count - 1
+            : this.currentMatchIndex - 1;
+        return this.currentMatchIndex;
+    }
+
+    /**
+     * Moves to the first match
+     * @returns {number} - New match index
+     */
+    moveToFirstMatch() {
+        return this.moveToMatch(0);
+    }
+
+    /**
+     * Moves to the last match
+     * @returns {number} - New match index
+     */
+    moveToLastMatch() {
+        return this.moveToMatch(this.searchMatches.length - 1);
+    }
+
+    /**
+     * Moves to a specific match
+     * @param {number} index - Match index
+     * @returns {number} - New match index, or -1 if out of range
+     */
+    moveToMatch(index) {
+        if (index < 0 || index >= this.searchMatches.length) {
+            return -1;
+        }
+        this.currentMatchIndex = index;
+        return this.currentMatchIndex;
+    }
+
     /**
      * Clears all search results
      */
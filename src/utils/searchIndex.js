@@ -0,0 +1,360 @@
+import { SEARCH_INDEX_CONFIG } from '../config.js';
+import { compileQuery, findMatchRanges, parseQuery } from './query.js';
+
+// Letters and digits, keeping apostrophes inside a word (Lord's, o'er)
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+const STOPWORDS = new Set(SEARCH_INDEX_CONFIG.stopwords);
+
+// [suffix, replacement, shortest stem left behind]; the first match wins
+const SUFFIXES = [
+    ['ness', '', 3],
+    ['ies', 'y', 2],
+    ['eth', '', 3],
+    ['est', '', 4],
+    ['ing', '', 3],
+    ['ed', '', 3],
+    ['ly', '', 3],
+    ['s', '', 3]
+];
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenizeWords(text) {
+    return text.toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Reduces a word to a stem. A light suffix stripper rather than a full Porter
+ * stemmer, tuned for the archaic verb endings of the text (-eth, -est), so
+ * believe, believed, believeth and believing share one stem.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export function stemWord(word) {
+    let stem = word.replace(/'s$/, '').replace(/'/g, '');
+    if (stem.length <= 3) return stem;
+
+    for (const [suffix, replacement, minLength] of SUFFIXES) {
+        if (!stem.endsWith(suffix) || stem.length - suffix.length < minLength) continue;
+        if (suffix === 's' && /(ss|us|is)$/.test(stem)) break;
+        stem = stem.slice(0, -suffix.length) + replacement;
+        break;
+    }
+
+    // sinned, sinneth -> sin; love, loved -> lov
+    if (/([^aeiouslz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+    }
+    if (stem.length > 3 && stem.endsWith('e')) {
+        stem = stem.slice(0, -1);
+    }
+    return stem;
+}
+
+function intersect(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    return new Set(Array.from(small).filter((value) => large.has(value)));
+}
+
+/**
+ * Finds the first index in a sorted array whose value is >= target
+ */
+function lowerBound(sorted, target) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Inverted index over the verses, built once when the text loads.
+ *
+ * Two views of the text are kept:
+ * - every distinct word of every entry (headings and reference prefixes
+ *   included) with the entries containing it, used to narrow a lexical query
+ *   to the few verses that can match before its regexes run, and for prefix
+ *   completion
+ * - stemmed term postings over scripture verses only (reference prefixes
+ *   left out), used to rank verses with BM25
+ */
+export class VerseSearchIndex {
+    /**
+     * @param {string[]} verses - Verse texts, as searched by SearchManager
+     * @param {Object} options - { isVerse(verseIndex), getPrefixLength(verseIndex, text) }.
+     *   Only verses for which isVerse is true are ranked; getPrefixLength gives the
+     *   length of the reference prefix to leave out of ranking.
+     */
+    constructor(verses, options = {}) {
+        this.verses = verses;
+        this.isVerse = options.isVerse ?? (() => true);
+        this.words = new Map(); // word -> { verses: number[], count }
+        this.postings = new Map(); // stem -> { verses: number[], frequencies: number[] }
+        this.verseLengths = new Uint32Array(verses.length);
+        this.verseCount = 0;
+        this.averageLength = 1;
+        this.candidateCache = new Map(); // query text -> sorted verse indices, or null
+        this.lastScan = null; // { token, words } of the most recent vocabulary scan
+
+        const getPrefixLength = options.getPrefixLength ?? (() => 0);
+        let totalLength = 0;
+        verses.forEach((text, verseIndex) => {
+            if (!text) return;
+
+            const seen = new Set();
+            for (const word of tokenizeWords(text)) {
+                if (seen.has(word)) continue;
+                seen.add(word);
+                let entry = this.words.get(word);
+                if (!entry) {
+                    entry = { verses: [], count: 0 };
+                    this.words.set(word, entry);
+                }
+                entry.verses.push(verseIndex);
+            }
+
+            if (!this.isVerse(verseIndex)) return;
+
+            const bodyWords = tokenizeWords(text.slice(getPrefixLength(verseIndex, text)));
+            const frequencies = new Map();
+            for (const word of bodyWords) {
+                this.words.get(word).count++;
+                const stem = stemWord(word);
+                frequencies.set(stem, (frequencies.get(stem) || 0) + 1);
+            }
+            frequencies.forEach((frequency, stem) => {
+                let posting = this.postings.get(stem);
+                if (!posting) {
+                    posting = { verses: [], frequencies: [] };
+                    this.postings.set(stem, posting);
+                }
+                posting.verses.push(verseIndex);
+                posting.frequencies.push(frequency);
+            });
+
+            this.verseLengths[verseIndex] = bodyWords.length;
+            this.verseCount++;
+            totalLength += bodyWords.length;
+        });
+
+        this.averageLength = this.verseCount > 0 ? totalLength / this.verseCount : 1;
+        this.allWords = Array.from(this.words.keys());
+        this.stems = Array.from(this.postings.keys()).sort();
+        this.completionWords = this.allWords
+            .filter((word) => this.words.get(word).count > 0 && !/^\d+$/.test(word))
+            .sort();
+    }
+
+    /**
+     * Narrows a lexical query to the verses that can possibly match it: every
+     * word of a literal term must occur inside some word of the verse. The
+     * result is a superset of the real matches, which the query's regexes
+     * still confirm. Results are cached, and a vocabulary scan for a token that
+     * extends the previous one only rescans the previous hits, so queries
+     * typed a character at a time stay fast.
+     * @param {string} term - Query text (see query.js for the syntax)
+     * @returns {number[]|null} - Sorted verse indices, or null when the query
+     *   cannot be narrowed (regular expressions, or only negated terms)
+     * @throws {Error} - With code 'query-syntax' for invalid queries
+     */
+    getCandidates(term) {
+        const key = term.trim();
+        if (this.candidateCache.has(key)) {
+            const cached = this.candidateCache.get(key);
+            this.candidateCache.delete(key);
+            this.candidateCache.set(key, cached);
+            return cached;
+        }
+
+        const candidates = this.collectCandidates(parseQuery(key));
+        const result = candidates ? Array.from(candidates).sort((a, b) => a - b) : null;
+        this.candidateCache.set(key, result);
+        if (this.candidateCache.size > SEARCH_INDEX_CONFIG.cacheSize) {
+            this.candidateCache.delete(this.candidateCache.keys().next().value);
+        }
+        return result;
+    }
+
+    collectCandidates(node) {
+        if (node.type === 'term') {
+            if (node.kind === 'regex') return null;
+            const tokens = tokenizeWords(node.value);
+            if (tokens.length === 0) return null;
+            return tokens
+                .map((token) => this.getVersesContaining(token))
+                .reduce(intersect);
+        }
+        if (node.type === 'not') {
+            return null;
+        }
+
+        const children = node.children.map((child) => this.collectCandidates(child));
+        if (node.type === 'and') {
+            const narrowed = children.filter(Boolean);
+            return narrowed.length > 0 ? narrowed.reduce(intersect) : null;
+        }
+        if (children.some((child) => child === null)) return null;
+        return new Set(children.flatMap((child) => Array.from(child)));
+    }
+
+    getVersesContaining(token) {
+        const source = this.lastScan && token.includes(this.lastScan.token)
+            ? this.lastScan.words
+            : this.allWords;
+        const words = source.filter((word) => word.includes(token));
+        this.lastScan = { token, words };
+
+        const verses = new Set();
+        for (const word of words) {
+            for (const verseIndex of this.words.get(word).verses) {
+                verses.add(verseIndex);
+            }
+        }
+        return verses;
+    }
+
+    /**
+     * Splits a literal term into words, replacing each wildcard word
+     * (faith*, fai?h) with the vocabulary words it matches
+     */
+    getTermWords(value) {
+        return value.split(/\s+/).flatMap((part) => {
+            if (!/[*?]/.test(part)) return tokenizeWords(part);
+            const pattern = part.toLowerCase()
+                .replace(/^[^\p{L}\p{N}*?]+|[^\p{L}\p{N}*?]+$/gu, '')
+                .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+                .replace(/\*/g, "[\\p{L}\\p{N}']*")
+                .replace(/\?/g, "[\\p{L}\\p{N}']");
+            const regex = new RegExp(`^${pattern}$`, 'u');
+            return this.allWords
+                .filter((word) => regex.test(word))
+                .slice(0, SEARCH_INDEX_CONFIG.maxPrefixExpansions);
+        });
+    }
+
+    /**
+     * Stems of the query's non-negated literal words. Stopwords are dropped
+     * unless the query has nothing else; a stem that is not in the index is
+     * treated as an unfinished word and expanded to the stems it begins.
+     * @returns {Array<{stem: string, idf: number}>}
+     */
+    getQueryTerms(term) {
+        const words = [];
+        const collect = (node, negated) => {
+            if (node.type === 'term') {
+                if (!negated && node.kind !== 'regex') words.push(...this.getTermWords(node.value));
+            } else if (node.type === 'not') {
+                collect(node.child, !negated);
+            } else {
+                node.children.forEach((child) => collect(child, negated));
+            }
+        };
+        collect(parseQuery(term), false);
+
+        const contentWords = words.filter((word) => !STOPWORDS.has(word));
+        const stems = new Set((contentWords.length > 0 ? contentWords : words).map(stemWord));
+
+        const expanded = new Set();
+        for (const stem of stems) {
+            if (this.postings.has(stem)) {
+                expanded.add(stem);
+                continue;
+            }
+            const start = lowerBound(this.stems, stem);
+            for (let i = start; i < this.stems.length && i - start < SEARCH_INDEX_CONFIG.maxPrefixExpansions; i++) {
+                if (!this.stems[i].startsWith(stem)) break;
+                expanded.add(this.stems[i]);
+            }
+        }
+
+        return Array.from(expanded).map((stem) => {
+            const frequency = this.postings.get(stem).verses.length;
+            return { stem, idf: Math.log(1 + (this.verseCount - frequency + 0.5) / (frequency + 0.5)) };
+        });
+    }
+
+    /**
+     * Scores verses against a query with BM25
+     * @param {string} term - Query text
+     * @param {Iterable<number>} verseIndices - Verses to score
+     * @returns {Map<number, number>} - verseIndex -> score (0 when no query word occurs)
+     */
+    scoreVerses(term, verseIndices) {
+        const { k1, b } = SEARCH_INDEX_CONFIG.bm25;
+        const scores = new Map();
+        for (const verseIndex of verseIndices) {
+            scores.set(verseIndex, 0);
+        }
+
+        for (const { stem, idf } of this.getQueryTerms(term)) {
+            const posting = this.postings.get(stem);
+            posting.verses.forEach((verseIndex, position) => {
+                if (!scores.has(verseIndex)) return;
+                const frequency = posting.frequencies[position];
+                const lengthNorm = 1 - b + b * (this.verseLengths[verseIndex] / this.averageLength);
+                scores.set(verseIndex, scores.get(verseIndex) + idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm));
+            });
+        }
+        return scores;
+    }
+
+    /**
+     * Finds the verses a lexical query matches and ranks them with BM25
+     * @param {string} term - Query text (see query.js for the syntax)
+     * @param {Object} options - { verseFilter(verseIndex), caseSensitive, wholeWord }
+     * @returns {Array<{verseIndex: number, score: number}>} - Best first
+     * @throws {Error} - With code 'query-syntax' or 'invalid-regex' for invalid queries
+     */
+    search(term, options = {}) {
+        const query = compileQuery(term, options);
+        const verseFilter = options.verseFilter ?? null;
+        const candidates = this.getCandidates(term) ?? this.verses.keys();
+
+        const matched = [];
+        for (const verseIndex of candidates) {
+            const text = this.verses[verseIndex];
+            if (!text || !this.isVerse(verseIndex)) continue;
+            if (verseFilter && !verseFilter(verseIndex)) continue;
+            if (!query.matches(text) || findMatchRanges(text, query.highlightRegexes).length === 0) continue;
+            matched.push(verseIndex);
+        }
+
+        const scores = this.scoreVerses(term, matched);
+        return matched
+            .map((verseIndex) => ({ verseIndex, score: scores.get(verseIndex) }))
+            .sort((a, b) => b.score - a.score || a.verseIndex - b.verseIndex);
+    }
+
+    /**
+     * Completes a partial word from the scripture vocabulary, most frequent first
+     * @param {string} prefix - Start of a word
+     * @param {number} limit - Maximum number of completions
+     * @returns {Array<{word: string, count: number}>}
+     */
+    complete(prefix, limit = SEARCH_INDEX_CONFIG.completionLimit) {
+        const needle = prefix.toLowerCase();
+        if (!needle) return [];
+
+        const completions = [];
+        for (let i = lowerBound(this.completionWords, needle); i < this.completionWords.length; i++) {
+            const word = this.completionWords[i];
+            if (!word.startsWith(needle)) break;
+            if (word !== needle) {
+                completions.push({ word, count: this.words.get(word).count });
+            }
+        }
+        return completions
+            .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+            .slice(0, limit);
+    }
+}
@@ -0,0 +1,91 @@
+import { TEXT_BENCHMARK_CONFIG } from '../config.js';
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function summarize(renderer, frameTimes, updateTimes) {
+    const frames = [...frameTimes].sort((a, b) => a - b);
+    const updates = [...updateTimes].sort((a, b) => a - b);
+    const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+        renderer,
+        frames: frames.length,
+        meanFrameMs: round(mean(frames)),
+        p50FrameMs: round(percentile(frames, 0.5)),
+        p95FrameMs: round(percentile(frames, 0.95)),
+        maxFrameMs: round(frames[frames.length - 1] ?? 0),
+        jankyFrames: frames.filter((time) => time > TEXT_BENCHMARK_CONFIG.jankThreshold).length,
+        meanUpdateMs: round(mean(updates)),
+        p95UpdateMs: round(percentile(updates, 0.95))
+    };
+}
+
+/**
+ * Flies one renderer along the benchmark path: zooming in from
+ * zoomRange.min to zoomRange.max and back on a log scale, while drifting
+ * across the columns. Records the interval between frames and the time spent
+ * updating the scene for each view change.
+ */
+function measureRenderer(visualization, app, renderer) {
+    const { frames: frameCount, warmupFrames, zoomRange } = TEXT_BENCHMARK_CONFIG;
+    const { totalWidth, totalHeight } = visualization.getLayout();
+    visualization.setTextRenderer(renderer);
+
+    return new Promise((resolve) => {
+        const frameTimes = [];
+        const updateTimes = [];
+        let frame = -warmupFrames;
+        let lastTime = performance.now();
+
+        const tick = () => {
+            const now = performance.now();
+            if (frame > 0) frameTimes.push(now - lastTime);
+            lastTime = now;
+
+            if (frame >= frameCount) {
+                app.ticker.remove(tick);
+                resolve(summarize(renderer, frameTimes, updateTimes));
+                return;
+            }
+
+            const t = Math.max(0, frame) / frameCount;
+            const zoom = zoomRange.min * Math.pow(zoomRange.max / zoomRange.min, Math.sin(Math.PI * t));
+            const updateStart = performance.now();
+            visualization.setViewState({
+                zoom,
+                centerX: totalWidth * (0.25 + 0.5 * t),
+                centerY: totalHeight * 0.3
+            });
+            if (frame >= 0) updateTimes.push(performance.now() - updateStart);
+            frame++;
+        };
+        app.ticker.add(tick);
+    });
+}
+
+/**
+ * Compares frame times of the text renderers by flying each along the same
+ * zoom-and-pan path. Run it by opening the app with ?benchmark=text; results
+ * are logged as a table. The original renderer and view are restored afterwards.
+ * @param {Object} visualization - From createVisualization
+ * @param {Application} app - Pixi application whose ticker drives the frames
+ * @returns {Promise<Array<Object>>} - One summary per renderer (times in ms)
+ */
+export async function runTextRendererBenchmark(visualization, app) {
+    const originalRenderer = visualization.getTextRenderer();
+    const originalView = visualization.getViewState();
+    visualization.stopCameraAnimation();
+
+    const results = [];
+    for (const renderer of TEXT_BENCHMARK_CONFIG.renderers) {
+        results.push(await measureRenderer(visualization, app, renderer));
+    }
+
+    visualization.setTextRenderer(originalRenderer);
+    visualization.setViewState(originalView);
+    console.table(results);
+    return results;
+}
@@ -0,0 +1,115 @@
+import { FONT_CONFIG } from '../config.js';
+
+/**
+ * Measures text in one font with canvas measureText.
+ * A width is the sum of the character widths plus the kerning of each
+ * adjacent pair, measured as width(ab) - width(a) - width(b). That is the
+ * amount BitmapFont.from stores in the glyph atlas and BitmapText adds before
+ * each glyph, and it keeps offsets in step with canvas Text, which kerns
+ * natively. Character widths and pair kerning are cached, and so are the
+ * prefix offsets of recently used lines.
+ */
+export class TextMeasurer {
+    /**
+     * @param {string} font - CSS font shorthand, e.g. from TextStyle.toFontString()
+     */
+    constructor(font) {
+        this.font = font;
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(1, 1)
+            : document.createElement('canvas');
+        this.context = canvas.getContext('2d');
+        this.context.font = font;
+        this.charWidths = new Map();
+        this.kerning = new Map();
+        this.offsetCache = new Map();
+        this.averageCharWidth = this.measure(FONT_CONFIG.widthSample) / FONT_CONFIG.widthSample.length;
+    }
+
+    getCharWidth(char) {
+        let width = this.charWidths.get(char);
+        if (width === undefined) {
+            width = this.context.measureText(char).width;
+            this.charWidths.set(char, width);
+        }
+        return width;
+    }
+
+    /**
+     * @returns {number} - Adjustment between first and second when they are adjacent
+     */
+    getKerning(first, second) {
+        const pair = first + second;
+        let amount = this.kerning.get(pair);
+        if (amount === undefined) {
+            amount = this.context.measureText(pair).width - this.getCharWidth(first) - this.getCharWidth(second);
+            this.kerning.set(pair, amount);
+        }
+        return amount;
+    }
+
+    /**
+     * @returns {number} - Width of the text in pixels
+     */
+    measure(text) {
+        let width = 0;
+        for (let i = 0; i < text.length; i++) {
+            width += this.getCharWidth(text[i]);
+            if (i + 1 < text.length) width += this.getKerning(text[i], text[i + 1]);
+        }
+        return width;
+    }
+
+    /**
+     * Left edge of every character and the end of the line
+     * @returns {Float64Array} - offsets[i] is the x of text[i]; offsets[text.length] is the width
+     */
+    getOffsets(text) {
+        let offsets = this.offsetCache.get(text);
+        if (offsets) {
+            // Refresh recency
+            this.offsetCache.delete(text);
+            this.offsetCache.set(text, offsets);
+            return offsets;
+        }
+
+        offsets = new Float64Array(text.length + 1);
+        for (let i = 0; i < text.length; i++) {
+            offsets[i + 1] = offsets[i] + this.getCharWidth(text[i])
+                + (i + 1 < text.length ? this.getKerning(text[i], text[i + 1]) : 0);
+        }
+        this.offsetCache.set(text, offsets);
+        if (this.offsetCache.size > FONT_CONFIG.offsetCacheSize) {
+            this.offsetCache.delete(this.offsetCache.keys().next().value);
+        }
+        return offsets;
+    }
+
+    /**
+     * @returns {number} - x of the character at index (index may equal text.length)
+     */
+    getOffset(text, index) {
+        if (index <= 0) return 0;
+        return this.getOffsets(text)[Math.min(index, text.length)];
+    }
+
+    /**
+     * Index of the character under x: -1 left of the text and text.length
+     * at or past its end
+     */
+    getCharIndexAt(text, x) {
+        if (x < 0) return -1;
+        const offsets = this.getOffsets(text);
+        let low = 0;
+        let high = text.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (offsets[mid + 1] <= x) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+}
@@ -1,18 +1,22 @@
-import { VISUALIZATION_CONFIG } from '../config.js';
+import { VISUALIZATION_CONFIG, LAYOUT_CONFIG } from '../config.js';
 
 /**
  * Wraps verses into lines that fit within the specified column width
  * @param {string[]} verses - Array of verse strings
- * @param {number} lineWidth - Maximum characters per line
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @param {TextMeasurer} textMeasurer - Measures text in the display font
  * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {{lines: string[], verseStartLines: number[]}} - Wrapped lines and verse start indices
+ * @returns {{lines: string[], verseStartLines: number[], lineWidths: number[]}} - Wrapped lines,
+ *   verse start indices and the pixel width of each line
  */
-export async function wrapVerses(verses, lineWidth, progressCallback = null) {
+export async function wrapVerses(verses, maxWidth, textMeasurer, progressCallback = null) {
     const lines = [];
     const verseStartLines = [];
+    const lineWidths = [];
     const versesLength = verses.length;
     const wordSplitRegex = VISUALIZATION_CONFIG.wordSplitRegex;
     const batchSize = VISUALIZATION_CONFIG.batchSize;
+    const spaceWidth = textMeasurer.measure(' ');
 
     for (let batchStart = 0; batchStart < versesLength; batchStart += batchSize) {
         const batchEnd = Math.min(batchStart + batchSize, versesLength);
@@ -26,33 +30,39 @@ export async function wrapVerses(verses, lineWidth, progressCallback = null) {
             if (verse.length === 0) continue;
 
             // Fast path: if verse fits in one line, no need to split
-            if (verse.length <= lineWidth) {
+            const verseWidth = textMeasurer.measure(verse);
+            if (verseWidth <= maxWidth) {
                 lines.push(verse);
+                lineWidths.push(verseWidth);
                 continue;
             }
 
             // Wrap this verse
             const words = verse.split(wordSplitRegex);
             let currentLine = '';
-            let currentLen = 0;
+            let currentWidth = 0;
 
             for (let w = 0; w < words.length; w++) {
                 const word = words[w];
-                const wordLen = word.length;
-                const newLen = currentLen === 0 ? wordLen : currentLen + 1 + wordLen;
+                const wordWidth = textMeasurer.measure(word);
+                const newWidth = currentLine.length === 0
+                    ? wordWidth
+                    : currentWidth + joinKerning(textMeasurer, currentLine, word) + spaceWidth + wordWidth;
 
-                if (newLen > lineWidth && currentLen > 0) {
+                if (newWidth > maxWidth && currentLine.length > 0) {
                     lines.push(currentLine);
+                    lineWidths.push(currentWidth);
                     currentLine = word;
-                    currentLen = wordLen;
+                    currentWidth = wordWidth;
                 } else {
-                    currentLine = currentLen === 0 ? word : currentLine + ' ' + word;
-                    currentLen = newLen;
+                    currentLine = currentLine.length === 0 ? word : currentLine + ' ' + word;
+                    currentWidth = newWidth;
                 }
             }
 
-            if (currentLen > 0) {
+            if (currentLine.length > 0) {
                 lines.push(currentLine);
+                lineWidths.push(currentWidth);
             }
         }
 
@@ -64,16 +74,120 @@ export async function wrapVerses(verses, lineWidth, progressCallback = null) {
         await new Promise(resolve => setTimeout(resolve, 0));
     }
 
-    return { lines, verseStartLines };
+    return { lines, verseStartLines, lineWidths };
+}
+
+/**
+ * Kerning on either side of the space that joins a line and the next word
+ */
+function joinKerning(textMeasurer, line, word) {
+    let amount = textMeasurer.getKerning(line[line.length - 1], ' ');
+    if (word.length > 0) amount += textMeasurer.getKerning(' ', word[0]);
+    return amount;
+}
+
+/**
+ * Creates a mapping from character offsets in a verse's text to positions on
+ * its wrapped lines. wrapVerses collapses whitespace runs to single spaces,
+ * so the two are walked in step rather than assumed to line up.
+ * @param {string} verseText - Original verse text
+ * @param {string[]} lines - All wrapped lines
+ * @param {number} startLine - First wrapped line of the verse
+ * @param {number} endLine - Last wrapped line of the verse
+ * @returns {Function} - (start, end) => Array of {lineIndex, startChar, endChar, lineText}
+ */
+export function createVerseProjection(verseText, lines, startLine, endLine) {
+    const length = verseText.length;
+    const lineOf = new Int32Array(length);
+    const columnOf = new Int32Array(length);
+    const isSpace = (char) => char === ' ' || char === '\t' || char === '\n' || char === '\r';
+    let v = 0;
+
+    for (let lineIndex = startLine; lineIndex <= endLine; lineIndex++) {
+        const line = lines[lineIndex] || '';
+
+        // Whitespace between wrapped lines belongs to the start of the next line
+        while (v < length && isSpace(verseText[v])) {
+            lineOf[v] = lineIndex;
+            columnOf[v] = 0;
+            v++;
+        }
+
+        for (let c = 0; c < line.length && v < length; c++) {
+            if (line[c] === ' ') {
+                while (v < length && isSpace(verseText[v])) {
+                    lineOf[v] = lineIndex;
+                    columnOf[v] = c;
+                    v++;
+                }
+            } else {
+                lineOf[v] = lineIndex;
+                columnOf[v] = c;
+                v++;
+            }
+        }
+    }
+
+    // Anything left over (trailing whitespace) maps to the end of the last line
+    const lastLine = Math.max(startLine, endLine);
+    const lastLineLength = (lines[lastLine] || '').length;
+    for (; v < length; v++) {
+        lineOf[v] = lastLine;
+        columnOf[v] = lastLineLength;
+    }
+
+    return (start, end) => {
+        if (length === 0 || end <= start) return [];
+
+        const firstLine = lineOf[start];
+        const firstColumn = columnOf[start];
+        const finalLine = lineOf[end - 1];
+        const finalColumn = columnOf[end - 1] + 1;
+        const segments = [];
+
+        for (let lineIndex = firstLine; lineIndex <= finalLine; lineIndex++) {
+            const lineText = lines[lineIndex] || '';
+            const startChar = lineIndex === firstLine ? firstColumn : 0;
+            const endChar = Math.min(lineIndex === finalLine ? finalColumn : lineText.length, lineText.length);
+            if (endChar > startChar) {
+                segments.push({ lineIndex, startChar, endChar, lineText });
+            }
+        }
+
+        return segments;
+    };
+}
+
+/**
+ * Maps each wrapped line to the verse it belongs to
+ * @param {number} totalLines - Total number of wrapped lines
+ * @param {number[]} verseStartLines - Maps verse index to first wrapped line index
+ * @returns {number[]} - Verse index of each line (-1 for none)
+ */
+export function mapLinesToVerses(totalLines, verseStartLines) {
+    const lineToVerseIndex = new Array(totalLines).fill(-1);
+    for (let verseIndex = 0; verseIndex < verseStartLines.length; verseIndex++) {
+        const startLine = verseStartLines[verseIndex];
+        if (startLine === undefined) continue;
+        const endLine = verseIndex + 1 < verseStartLines.length
+            ? verseStartLines[verseIndex + 1] - 1
+            : totalLines - 1;
+        for (let lineIndex = startLine; lineIndex <= endLine; lineIndex++) {
+            lineToVerseIndex[lineIndex] = verseIndex;
+        }
+    }
+    return lineToVerseIndex;
 }
 
 /**
  * Calculates column layout based on number of lines
  * @param {number} totalLines - Total number of lines to display
  * @param {boolean} isSingleBookView - Whether viewing a single book
+ * @param {number|null} columnCount - Fixed number of columns; null sizes columns by
+ *   VISUALIZATION_CONFIG.minLinesPerColumn up to maxColumns
  * @returns {{numColumns: number, linesPerColumn: number, columnLines: string[][]}}
  */
-export function calculateColumnLayout(lines, isSingleBookView) {
+export function calculateColumnLayout(lines, isSingleBookView, columnCount = null) {
     const config = VISUALIZATION_CONFIG;
     const minLinesPerColumn = isSingleBookView 
         ? config.minLinesPerColumn.singleBook 
@@ -83,7 +197,9 @@ export function calculateColumnLayout(lines, isSingleBookView) {
         : config.maxColumns.multiBook;
 
     const neededColumns = Math.ceil(lines.length / minLinesPerColumn);
-    const numColumns = Math.min(Math.max(1, neededColumns), maxColumns);
+    const numColumns = columnCount
+        ? Math.min(Math.max(1, columnCount), Math.max(1, lines.length))
+        : Math.min(Math.max(1, neededColumns), maxColumns);
     const linesPerColumn = Math.ceil(lines.length / numColumns);
 
     const columnLines = [];
@@ -94,6 +210,29 @@ export function calculateColumnLayout(lines, isSingleBookView) {
     return { numColumns, linesPerColumn, columnLines };
 }
 
+/**
+ * Picks the number of columns whose overall shape is closest to the screen's
+ * @param {number} totalLines - Total number of wrapped lines
+ * @param {Object} metrics - { columnWidth, columnGap, lineHeight, padding } in world units
+ * @param {number} aspect - Screen width / height
+ * @returns {number} - Column count between 1 and LAYOUT_CONFIG.maxFitColumns
+ */
+export function calculateFitColumnCount(totalLines, { columnWidth, columnGap, lineHeight, padding }, aspect) {
+    let bestCount = 1;
+    let bestError = Infinity;
+    const maxCount = Math.max(1, Math.min(LAYOUT_CONFIG.maxFitColumns, totalLines));
+    for (let count = 1; count <= maxCount; count++) {
+        const width = count * columnWidth + (count - 1) * columnGap + padding * 2;
+        const height = Math.ceil(totalLines / count) * lineHeight + padding * 2;
+        const error = Math.abs(Math.log(width / height / aspect));
+        if (error < bestError) {
+            bestError = error;
+            bestCount = count;
+        }
+    }
+    return bestCount;
+}
+
 /**
  * Maps lines to books based on book markers
  * @param {number} totalLines - Total number of lines
@@ -0,0 +1,308 @@
+import { BOOK_DEFINITIONS } from '../bookDefinitions.js';
+
+const REFERENCE_PATTERN = /^(.+?)\s+(\d+):(\d+)$/;
+const VIEW_UPDATE_DELAY = 400;
+
+/**
+ * Parses view state from a URL query string
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {Object} - { bookIndex, zoom, centerX, centerY, term, semantic, hybrid, threshold, caseSensitive, wholeWord, scope, verse }
+ */
+export function parseUrlState(search) {
+    const params = new URLSearchParams(search);
+    const state = {
+        bookIndex: -1,
+        zoom: null,
+        centerX: null,
+        centerY: null,
+        term: '',
+        semantic: false,
+        hybrid: false,
+        threshold: null,
+        caseSensitive: false,
+        wholeWord: false,
+        scope: { type: 'all' },
+        verse: null
+    };
+
+    const book = params.get('book');
+    if (book) {
+        const bookName = book.toLowerCase();
+        state.bookIndex = BOOK_DEFINITIONS.findIndex((definition) => definition.name.toLowerCase() === bookName);
+    }
+
+    const zoom = parseFloat(params.get('zoom'));
+    if (Number.isFinite(zoom) && zoom > 0) {
+        state.zoom = zoom;
+    }
+
+    const centerX = parseFloat(params.get('x'));
+    const centerY = parseFloat(params.get('y'));
+    if (Number.isFinite(centerX) && Number.isFinite(centerY)) {
+        state.centerX = centerX;
+        state.centerY = centerY;
+    }
+
+    state.term = params.get('q') || '';
+    state.semantic = params.get('semantic') === '1';
+    state.hybrid = state.semantic && params.get('hybrid') === '1';
+    state.caseSensitive = params.get('case') === '1';
+    state.wholeWord = params.get('word') === '1';
+
+    state.scope = parseScope(params.get('scope'));
+
+    const threshold = parseFloat(params.get('threshold'));
+    if (Number.isFinite(threshold)) {
+        state.threshold = threshold;
+    }
+
+    const verse = params.get('verse');
+    const verseMatch = verse ? verse.trim().match(REFERENCE_PATTERN) : null;
+    if (verseMatch) {
+        state.verse = { book: verseMatch[1], chapter: verseMatch[2], verse: verseMatch[3] };
+    }
+
+    return state;
+}
+
+/**
+ * Serializes view state into a URL query string
+ * @param {Object} state - State in the shape returned by parseUrlState
+ * @returns {string} - Query string including the leading '?', or '' when empty
+ */
+export function serializeUrlState(state) {
+    const params = new URLSearchParams();
+
+    if (state.bookIndex >= 0 && BOOK_DEFINITIONS[state.bookIndex]) {
+        params.set('book', BOOK_DEFINITIONS[state.bookIndex].name);
+    }
+    if (state.zoom !== null) {
+        params.set('zoom', state.zoom.toFixed(4));
+    }
+    if (state.centerX !== null && state.centerY !== null) {
+        params.set('x', Math.round(state.centerX));
+        params.set('y', Math.round(state.centerY));
+    }
+    if (state.term) {
+        params.set('q', state.term);
+    }
+    if (state.semantic) {
+        params.set('semantic', '1');
+        if (state.hybrid) {
+            params.set('hybrid', '1');
+        }
+        if (state.threshold !== null) {
+            params.set('threshold', state.threshold);
+        }
+    } else {
+        if (state.caseSensitive) {
+            params.set('case', '1');
+        }
+        if (state.wholeWord) {
+            params.set('word', '1');
+        }
+    }
+    const scope = serializeScope(state.scope);
+    if (scope) {
+        params.set('scope', scope);
+    }
+    if (state.verse) {
+        params.set('verse', `${state.verse.book} ${state.verse.chapter}:${state.verse.verse}`);
+    }
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Parses a search scope parameter: "visible", "books:Alma,Mosiah" or "ref:Alma 30-35"
+ */
+export function parseScope(value) {
+    if (!value) return { type: 'all' };
+    if (value === 'visible') return { type: 'visible' };
+    if (value.startsWith('books:')) {
+        const names = value.slice('books:'.length).toLowerCase().split(',');
+        const bookIndices = BOOK_DEFINITIONS
+            .map((definition, index) => (names.includes(definition.name.toLowerCase()) ? index : -1))
+            .filter((index) => index >= 0);
+        return { type: 'books', bookIndices };
+    }
+    if (value.startsWith('ref:')) {
+        return { type: 'reference', text: value.slice('ref:'.length) };
+    }
+    return { type: 'all' };
+}
+
+/**
+ * Serializes a search scope to its compact string form, or null for the whole text
+ */
+export function serializeScope(scope) {
+    if (!scope || scope.type === 'all') return null;
+    if (scope.type === 'visible') return 'visible';
+    if (scope.type === 'books') {
+        return `books:${scope.bookIndices.map((index) => BOOK_DEFINITIONS[index].name).join(',')}`;
+    }
+    if (scope.type === 'reference') {
+        return scope.text ? `ref:${scope.text}` : null;
+    }
+    return null;
+}
+
+/**
+ * Keeps the browser URL in sync with the book filter, view and search state
+ */
+export class UrlStateManager {
+    constructor({ bookFilter, searchControls, onBookChange }) {
+        this.bookFilter = bookFilter;
+        this.searchControls = searchControls;
+        this.onBookChange = onBookChange;
+        this.visualization = null;
+        this.isRestoring = false;
+        this.viewUpdateTimer = null;
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        window.addEventListener('visualization-view-changed', () => {
+            this.scheduleViewUpdate();
+        });
+
+        window.addEventListener('search-state-changed', () => {
+            this.writeState(false);
+        });
+
+        window.addEventListener('popstate', () => {
+            this.restore(parseUrlState(window.location.search));
+        });
+    }
+
+    /**
+     * Reads the state encoded in the current URL
+     */
+    getInitialState() {
+        return parseUrlState(window.location.search);
+    }
+
+    setVisualization(visualization) {
+        this.visualization = visualization;
+    }
+
+    /**
+     * Applies a parsed state, reloading the book filter if it differs
+     */
+    async restore(state) {
+        this.isRestoring = true;
+        try {
+            if (state.bookIndex !== this.bookFilter.getCurrentFilter()) {
+                this.bookFilter.setCurrentFilter(state.bookIndex);
+                if (this.onBookChange) {
+                    await this.onBookChange(state.bookIndex);
+                }
+            }
+            this.applyToVisualization(state);
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Applies search, focused verse and camera state to the current visualization
+     */
+    applyToVisualization(state) {
+        if (!this.visualization) return;
+
+        this.isRestoring = true;
+        try {
+            this.searchControls.applyState({
+                term: state.term,
+                semantic: state.semantic,
+                hybrid: state.hybrid,
+                threshold: state.threshold,
+                caseSensitive: state.caseSensitive,
+                wholeWord: state.wholeWord,
+                scope: state.scope
+            });
+
+            if (state.verse) {
+                const verseIndex = this.visualization.findVerseIndex(
+                    state.verse.book,
+                    state.verse.chapter,
+                    state.verse.verse
+                );
+                if (verseIndex >= 0) {
+                    this.visualization.jumpToVerse(verseIndex);
+                }
+            }
+
+            if (state.zoom !== null || state.centerX !== null) {
+                const current = this.visualization.getViewState();
+                this.visualization.setViewState({
+                    zoom: state.zoom ?? current.zoom,
+                    centerX: state.centerX ?? current.centerX,
+                    centerY: state.centerY ?? current.centerY
+                });
+            }
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Records a book filter change as a new history entry
+     */
+    handleBookChange() {
+        this.writeState(true);
+    }
+
+    scheduleViewUpdate() {
+        if (this.isRestoring) return;
+        if (this.viewUpdateTimer) {
+            clearTimeout(this.viewUpdateTimer);
+        }
+        this.viewUpdateTimer = setTimeout(() => {
+            this.viewUpdateTimer = null;
+            this.writeState(false);
+        }, VIEW_UPDATE_DELAY);
+    }
+
+    buildState() {
+        const state = {
+            bookIndex: this.bookFilter.getCurrentFilter(),
+            zoom: null,
+            centerX: null,
+            centerY: null,
+            verse: null,
+            ...this.searchControls.getState()
+        };
+
+        if (this.visualization) {
+            const view = this.visualization.getViewState();
+            state.zoom = view.zoom;
+            state.centerX = view.centerX;
+            state.centerY = view.centerY;
+
+            const verseIndex = this.visualization.getFocusedVerseIndex();
+            const reference = verseIndex >= 0 ? this.visualization.getVerseReference(verseIndex) : null;
+            if (reference) {
+                state.verse = reference;
+            }
+        }
+
+        return state;
+    }
+
+    writeState(pushHistory) {
+        if (this.isRestoring) return;
+
+        const query = serializeUrlState(this.buildState());
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (pushHistory) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+}
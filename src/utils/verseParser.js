@@ -50,6 +50,19 @@ function trimVersePrefix(verseText, ref, lastBook, lastChapter) {
     };
 }
 
+/**
+ * Gets the length of the display prefix added by trimVersePrefix
+ * (including the following space), so callers can recover the bare verse text.
+ * @param {string} text - Display verse text
+ * @param {{book: string, chapter: string, verse: string}} meta - Verse metadata
+ * @returns {number}
+ */
+export function getVersePrefixLength(text, meta) {
+    const prefixes = [`${meta.book} ${meta.chapter}:${meta.verse}`, `${meta.chapter}:${meta.verse}`, meta.verse];
+    const prefix = prefixes.find((candidate) => text.startsWith(`${candidate} `));
+    return prefix ? prefix.length + 1 : 0;
+}
+
 /**
  * Parse raw Book of Mormon text into display-ready verses and metadata.
  * @param {string} rawText - Full raw Book of Mormon text
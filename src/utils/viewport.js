@@ -9,6 +9,14 @@ export class ViewportManager {
         this.app = app;
         this.maxColumnLength = maxColumnLength;
         this.visibleRangeResult = { start: 0, end: 0 };
+        this.visibleColumnResult = { start: 0, end: 0 };
+    }
+
+    /**
+     * @param {number} maxColumnLength - Lines in the longest column, after a reflow
+     */
+    setMaxColumnLength(maxColumnLength) {
+        this.maxColumnLength = maxColumnLength;
     }
 
     /**
@@ -35,6 +43,34 @@ export class ViewportManager {
         return this.visibleRangeResult;
     }
 
+    /**
+     * Calculates which columns overlap the viewport horizontally
+     * @param {number} zoom - Current zoom level
+     * @param {number} offsetX - Current X offset
+     * @param {number[]} columnXPositions - World x of each column's left edge, ascending
+     * @param {number} columnWidth - Column width in world units
+     * @returns {{start: number, end: number}} - Visible column range (end exclusive)
+     */
+    getVisibleColumnRange(zoom, offsetX, columnXPositions, columnWidth) {
+        const invZoom = 1 / zoom;
+        const scrollPadding = VISUALIZATION_CONFIG.scrollPadding;
+        const worldLeft = -offsetX * invZoom - scrollPadding;
+        const worldRight = (this.app.screen.width - offsetX) * invZoom + scrollPadding;
+
+        let start = 0;
+        while (start < columnXPositions.length && columnXPositions[start] + columnWidth < worldLeft) {
+            start++;
+        }
+        let end = start;
+        while (end < columnXPositions.length && columnXPositions[end] <= worldRight) {
+            end++;
+        }
+
+        this.visibleColumnResult.start = start;
+        this.visibleColumnResult.end = end;
+        return this.visibleColumnResult;
+    }
+
     /**
      * Calculates initial zoom to fit content
      * @param {number} totalWidth - Total content width
@@ -1,12 +1,24 @@
 import { Container, TextStyle } from 'pixi.js';
 import { SemanticSearchIndex } from './utils/semanticSearch.js';
-import { VISUALIZATION_CONFIG, ZOOM_CONFIG } from './config.js';
-import { wrapVerses, calculateColumnLayout, mapLinesToBooks, calculateBookRegions } from './utils/textProcessing.js';
+import { VISUALIZATION_CONFIG, FONT_CONFIG, ZOOM_CONFIG, HEATMAP_CONFIG, SEMANTIC_HIGHLIGHT_CONFIG } from './config.js';
+import { BOOK_DEFINITIONS } from './bookDefinitions.js';
+import { parseReference, resolveReference } from './utils/references.js';
+import { wrapVerses, mapLinesToVerses, calculateColumnLayout, calculateFitColumnCount, mapLinesToBooks, calculateBookRegions } from './utils/textProcessing.js';
 import { ViewportManager } from './utils/viewport.js';
 import { SearchManager } from './utils/search.js';
-import { TextRenderer, BookBackgroundRenderer, HighlightRenderer } from './utils/rendering.js';
-
-export async function createVisualization(text, app, progressCallback = null, bookMarkers = [], verses = null, verseMeta = null) {
+import { TextRenderer, BitmapTextRenderer, TextLodRenderer, BookBackgroundRenderer, HighlightRenderer, HighlightLayerRenderer, HeatmapRenderer, SelectionRenderer, AnnotationRenderer } from './utils/rendering.js';
+import { buildHeatmapBins, computeHeatmapValues, countLineWords, getRampColor } from './utils/heatmap.js';
+import { fuseRankings } from './utils/hybridSearch.js';
+import { VerseSearchIndex } from './utils/searchIndex.js';
+import { TextMeasurer } from './utils/textMeasure.js';
+import { getVersePrefixLength } from './utils/verseParser.js';
+import { CameraAnimator } from './utils/camera.js';
+
+/**
+ * @param {Object} options - { font: { family, size }, layout: { lineWidth, columns } }; family is a
+ *   key of FONT_CONFIG.families, and layout is as for setLayout
+ */
+export async function createVisualization(text, app, progressCallback = null, bookMarkers = [], verses = null, verseMeta = null, options = {}) {
     const container = new Container();
     container.sortableChildren = true;
     app.stage.addChild(container);
@@ -14,11 +26,28 @@ export async function createVisualization(text, app, progressCallback = null, bo
     // Detect if viewing a single book
     const isSingleBookView = bookMarkers.length === 1;
 
+    // Text metrics scale with the font size; columns hold lineWidth average characters
+    const fontFamilyKey = FONT_CONFIG.families[options.font?.family] ? options.font.family : FONT_CONFIG.defaultFamily;
+    const fontSize = options.font?.size || FONT_CONFIG.defaultSize;
+    const textStyle = new TextStyle({
+        fontFamily: FONT_CONFIG.families[fontFamilyKey].fontFamily,
+        fontSize,
+        fill: VISUALIZATION_CONFIG.textColor,
+        letterSpacing: 0,
+        textBaseline: 'alphabetic',
+    });
+    const textMeasurer = new TextMeasurer(textStyle.toFontString());
+
     // Build configuration based on view type
+    const defaultLineWidth = isSingleBookView
+        ? VISUALIZATION_CONFIG.lineWidth.singleBook
+        : VISUALIZATION_CONFIG.lineWidth.multiBook;
+    let layoutOptions = { lineWidth: null, columns: 'auto', ...options.layout };
     const config = {
-        fontSize: VISUALIZATION_CONFIG.fontSize,
-        lineHeight: VISUALIZATION_CONFIG.lineHeight,
-        charWidth: VISUALIZATION_CONFIG.charWidth,
+        fontSize,
+        lineHeight: VISUALIZATION_CONFIG.lineHeight * fontSize / VISUALIZATION_CONFIG.fontSize,
+        charWidth: textMeasurer.averageCharWidth,
+        textMeasurer,
         padding: VISUALIZATION_CONFIG.padding,
         columnGap: isSingleBookView 
             ? VISUALIZATION_CONFIG.columnGap.singleBook 
@@ -26,9 +55,7 @@ export async function createVisualization(text, app, progressCallback = null, bo
         highlightColor: VISUALIZATION_CONFIG.highlightColor,
         textColor: VISUALIZATION_CONFIG.textColor,
         backgroundColor: VISUALIZATION_CONFIG.backgroundColor,
-        lineWidth: isSingleBookView 
-            ? VISUALIZATION_CONFIG.lineWidth.singleBook 
-            : VISUALIZATION_CONFIG.lineWidth.multiBook,
+        lineWidth: layoutOptions.lineWidth ?? defaultLineWidth,
     };
 
     // State management
@@ -43,45 +70,37 @@ export async function createVisualization(text, app, progressCallback = null, bo
     if (progressCallback) progressCallback('Processing verses...');
     const verseList = verses ?? text.split('\n');
     const verseMetaList = verseMeta ?? verseList.map((entry) => ({ kind: entry.length === 0 ? 'blank' : 'verse' }));
-    const { lines, verseStartLines } = await wrapVerses(verseList, config.lineWidth, progressCallback);
-
-    const lineToVerseIndex = new Array(lines.length).fill(-1);
-    for (let verseIndex = 0; verseIndex < verseStartLines.length; verseIndex++) {
-        const startLine = verseStartLines[verseIndex];
-        if (startLine === undefined) continue;
-        const endLine = verseIndex + 1 < verseStartLines.length
-            ? verseStartLines[verseIndex + 1] - 1
-            : lines.length - 1;
-        for (let lineIndex = startLine; lineIndex <= endLine; lineIndex++) {
-            lineToVerseIndex[lineIndex] = verseIndex;
-        }
-    }
+    let columnWidth = config.lineWidth * config.charWidth;
+    let { lines, verseStartLines, lineWidths } = await wrapVerses(verseList, columnWidth, textMeasurer, progressCallback);
+    let lineToVerseIndex = mapLinesToVerses(lines.length, verseStartLines);
+
+    if (progressCallback) progressCallback('Indexing words...');
+    const searchIndex = new VerseSearchIndex(verseList, {
+        isVerse: (verseIndex) => verseMetaList[verseIndex]?.kind === 'verse',
+        getPrefixLength: (verseIndex, verseText) => getVersePrefixLength(verseText, verseMetaList[verseIndex])
+    });
 
     if (progressCallback) progressCallback('Finalizing...');
 
     console.log('Created', lines.length, 'wrapped lines from', verseList.length, 'verses');
+    console.log('Indexed', searchIndex.allWords.length, 'distinct words');
 
-    // Calculate column layout
-    const { numColumns, linesPerColumn, columnLines } = calculateColumnLayout(lines, isSingleBookView);
+    // Initialize managers and renderers
+    const viewportManager = new ViewportManager(config, app, 0);
+
+    // Column layout; recalculated by reflows
+    let numColumns;
+    let linesPerColumn;
+    let columnLines;
+    let cachedColumnXPositions;
+    let maxColumnLength;
+    let bookRegions;
+    let totalWidth;
+    let totalHeight;
+    applyColumnLayout();
     console.log(`Using ${numColumns} columns with ~${linesPerColumn} lines each`);
-
-    // Pre-calculate column positions
-    const columnWidth = config.lineWidth * config.charWidth;
-    const cachedColumnXPositions = [];
-    for (let i = 0; i < numColumns; i++) {
-        cachedColumnXPositions.push(config.padding + i * (columnWidth + config.columnGap));
-    }
-    const maxColumnLength = Math.max(...columnLines.map(col => col.length));
-
-    // Map lines to books
-    const lineToBook = mapLinesToBooks(lines.length, bookMarkers, verseStartLines);
-
-    // Calculate book regions
-    const bookRegions = calculateBookRegions(columnLines, lineToBook, linesPerColumn);
     console.log('Created', bookRegions.length, 'book regions across columns');
 
-    // Initialize managers and renderers
-    const viewportManager = new ViewportManager(config, app, maxColumnLength);
     const searchManager = new SearchManager();
     const semanticState = {
         status: 'idle',
@@ -93,24 +112,72 @@ export async function createVisualization(text, app, progressCallback = null, bo
     let semanticMatchCursor = -1;
     let semanticResultCount = 0;
     let semanticScores = new Map(); // Map verseIndex -> score
-
-    // Create text style
-    const textStyle = new TextStyle({
-        fontFamily: 'monospace',
-        fontSize: config.fontSize,
-        fill: config.textColor,
-        letterSpacing: 0,
-        textBaseline: 'alphabetic',
-    });
+    let semanticSignals = new Map(); // Map verseIndex -> { lexical, semantic } for hybrid results
+    let hybridScores = new Map(); // Map verseIndex -> fused score that orders hybrid results
+    let lexicalTerm = null; // Query of the current lexical search, for relevance ranking
+    let lexicalScores = null; // Cached verseIndex -> BM25 score; reset when matches change
 
     // Initialize renderers
-    const textRenderer = new TextRenderer(container, config, textStyle);
+    const glyphChars = new Set(lines.join(''));
+    let textRendererKind = VISUALIZATION_CONFIG.textRenderer;
+    let textRenderer = createTextRenderer(textRendererKind);
+    const textLodRenderer = new TextLodRenderer(container, config, app.renderer, textStyle, glyphChars);
+    textLodRenderer.setLineWidths(lineWidths);
+    let visibleLines = new Map(); // Line index -> top-left, for whichever text level is drawn
+    let lodFrame = null;
     const bookBackgroundRenderer = new BookBackgroundRenderer(container, config);
     const highlightRenderer = new HighlightRenderer(container, config);
+    const highlightLayerRenderer = new HighlightLayerRenderer(container, config);
+    const heatmapRenderer = new HeatmapRenderer(container, config);
+    const selectionRenderer = new SelectionRenderer(container, config);
+    const annotationRenderer = new AnnotationRenderer(container, config);
+
+    /**
+     * Creates the text renderer: 'bitmap' draws from a glyph atlas, 'canvas'
+     * rasterizes one Pixi Text per visible line
+     */
+    function createTextRenderer(kind) {
+        return kind === 'bitmap'
+            ? new BitmapTextRenderer(container, config, textStyle, glyphChars)
+            : new TextRenderer(container, config, textStyle);
+    }
+
+    /**
+     * Splits the wrapped lines into columns and derives everything placed by column.
+     * 'fit' picks the column count whose overall shape best matches the screen.
+     */
+    function applyColumnLayout() {
+        let columnCount = null;
+        if (layoutOptions.columns === 'fit') {
+            columnCount = getFitColumnCount();
+        } else if (layoutOptions.columns !== 'auto') {
+            columnCount = layoutOptions.columns;
+        }
+        ({ numColumns, linesPerColumn, columnLines } = calculateColumnLayout(lines, isSingleBookView, columnCount));
+
+        cachedColumnXPositions = [];
+        for (let i = 0; i < numColumns; i++) {
+            cachedColumnXPositions.push(config.padding + i * (columnWidth + config.columnGap));
+        }
+        maxColumnLength = Math.max(...columnLines.map(col => col.length));
+        viewportManager.setMaxColumnLength(maxColumnLength);
+
+        const lineToBook = mapLinesToBooks(lines.length, bookMarkers, verseStartLines);
+        bookRegions = calculateBookRegions(columnLines, lineToBook, linesPerColumn);
+
+        totalWidth = columnWidth * numColumns + config.columnGap * (numColumns - 1) + config.padding * 2;
+        totalHeight = maxColumnLength * config.lineHeight + config.padding * 2;
+    }
+
+    function getFitColumnCount() {
+        return calculateFitColumnCount(lines.length, {
+            columnWidth,
+            columnGap: config.columnGap,
+            lineHeight: config.lineHeight,
+            padding: config.padding
+        }, app.screen.width / app.screen.height);
+    }
 
-    // Calculate total dimensions
-    const totalWidth = columnWidth * numColumns + config.columnGap * (numColumns - 1) + config.padding * 2;
-    const totalHeight = maxColumnLength * config.lineHeight + config.padding * 2;
     console.log('Total dimensions:', totalWidth, 'x', totalHeight);
 
     // Calculate initial zoom
@@ -134,6 +201,39 @@ export async function createVisualization(text, app, progressCallback = null, bo
     let lastOffsetY = offsetY;
     let lastZoom = zoom;
     let needsRender = true;
+    let focusedVerseIndex = -1;
+    let selection = null; // { startLine, startChar, endLine, endChar, granularity }
+    let annotationList = []; // As last set; spread over the lines again after a reflow
+    let lineAnnotations = new Map(); // lineIndex -> { color, bookmarked, hasNote, isFirstLine }
+    let layoutVersion = 0; // Lets a slower re-wrap give way to a later layout change
+    let highlightLayers = []; // [{ id, key, color, visible, searchManager }]
+    let heatmapOptions = { mode: 'off', binSize: 'chapter', metric: 'count' };
+    let heatmap = null; // Cached { bins, min, max, rampMin, status, message }; reset when matches change
+    let heatmapLineWords = null;
+    let scoreColoring = { mode: 'rank', ramp: SEMANTIC_HIGHLIGHT_CONFIG.defaultRamp };
+    let scoreRanks = null; // Cached verseIndex -> rank fraction (1 = best); reset when matches change
+
+    // Canonical "Book C:V" reference -> verse index, for reference-keyed data such as annotations
+    const verseIndexByReference = new Map();
+    verseMetaList.forEach((meta, verseIndex) => {
+        if (meta.kind === 'verse') {
+            verseIndexByReference.set(`${meta.book} ${meta.chapter}:${meta.verse}`, verseIndex);
+        }
+    });
+
+    // Camera transitions; any direct zoom or pan (user input) interrupts them
+    const camera = new CameraAnimator(
+        app.ticker,
+        app.screen,
+        () => ({ zoom, offsetX, offsetY }),
+        (view) => {
+            zoom = view.zoom;
+            offsetX = view.offsetX;
+            offsetY = view.offsetY;
+            updateTransform();
+            dispatchZoomChanged();
+        }
+    );
 
     function updateTransform() {
         container.scale.set(zoom);
@@ -157,24 +257,83 @@ export async function createVisualization(text, app, progressCallback = null, bo
             needsRender = false;
 
             const visibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
-            bookBackgroundRenderer.render(bookRegions, cachedColumnXPositions, columnWidth, zoom, visibleRange);
-            textRenderer.renderVisibleText(columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, currentTextResolution);
+            const visibleColumns = viewportManager.getVisibleColumnRange(zoom, offsetX, cachedColumnXPositions, columnWidth);
+            bookBackgroundRenderer.render(bookRegions, cachedColumnXPositions, columnWidth, zoom, visibleRange, visibleColumns);
+            renderText(visibleRange, visibleColumns);
+            selectionRenderer.render(selection, lines, columnLines, cachedColumnXPositions, linesPerColumn, visibleRange);
+            annotationRenderer.render(lineAnnotations, lines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange);
+            highlightLayerRenderer.render(highlightLayers, columnLines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange, visibleColumns, zoom);
             
-            if (searchManager.getResultCount() > 0) {
+            // The heatmap stands in for individual highlights, which are mostly noise when zoomed far out
+            if (isHeatmapActive()) {
+                highlightRenderer.clear();
+                heatmapRenderer.render(getHeatmap(), cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange);
+            } else {
+                heatmapRenderer.clear();
+                // Always update so cleared or failed searches remove stale highlights
                 highlightRenderer.updateHighlights(
                     searchManager,
-                    textRenderer.getVisibleTextSprites(),
+                    visibleLines,
                     zoom,
-                    jumpToMatchAndZoom
+                    jumpToMatchAndZoom,
+                    scoreColoring.mode === 'flat' ? null : getScoreStyle
                 );
             }
         }
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('visualization-view-changed', {
+                detail: { zoom, offsetX, offsetY }
+            }));
+        }
+    }
+
+    /**
+     * Draws the text at the level of detail for the current zoom: real text once
+     * glyphs are legible, cached tiles or greeked bars below that
+     */
+    function renderText(visibleRange, visibleColumns) {
+        const level = TextLodRenderer.getLevel(zoom);
+        if (level === 'text') {
+            textLodRenderer.clear();
+            textRenderer.renderVisibleText(columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, currentTextResolution, visibleColumns);
+            visibleLines = textRenderer.getVisibleLines();
+            return;
+        }
+
+        textRenderer.clear();
+        visibleLines = textLodRenderer.render(level, columnLines, cachedColumnXPositions, linesPerColumn, visibleRange, zoom, visibleColumns);
+        // Tiles are rendered a few per frame; come back for the rest
+        if (textLodRenderer.hasPendingTiles && lodFrame === null) {
+            lodFrame = requestAnimationFrame(() => {
+                lodFrame = null;
+                needsRender = true;
+                updateTransform();
+            });
+        }
+    }
+
+    /**
+     * Re-renders after the set of matches changed and notifies listeners (e.g. the minimap)
+     */
+    function refreshMatches() {
+        heatmap = null;
+        scoreRanks = null;
+        lexicalScores = null;
+        needsRender = true;
+        updateTransform();
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('visualization-matches-changed', {
+                detail: { count: searchManager.getResultCount() }
+            }));
+        }
     }
 
     // Initial render
     const initialVisibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
-    bookBackgroundRenderer.render(bookRegions, cachedColumnXPositions, columnWidth, zoom, initialVisibleRange);
-    textRenderer.renderVisibleText(columnLines, cachedColumnXPositions, linesPerColumn, initialVisibleRange, currentTextResolution);
+    const initialVisibleColumns = viewportManager.getVisibleColumnRange(zoom, offsetX, cachedColumnXPositions, columnWidth);
+    bookBackgroundRenderer.render(bookRegions, cachedColumnXPositions, columnWidth, zoom, initialVisibleRange, initialVisibleColumns);
+    renderText(initialVisibleRange, initialVisibleColumns);
     console.log('Text rendering optimized with viewport culling');
     app.renderer.render(app.stage);
 
@@ -207,24 +366,31 @@ export async function createVisualization(text, app, progressCallback = null, bo
 
     function clearSearchState() {
         searchManager.clear();
+        lexicalTerm = null;
         semanticMatchOrder = [];
         semanticMatchCursor = -1;
         semanticResultCount = 0;
         semanticScores.clear();
-        needsRender = true;
-        updateTransform();
+        semanticSignals.clear();
+        hybridScores.clear();
+        refreshMatches();
     }
 
     function buildSemanticMatches(results) {
         const matches = [];
+        lexicalTerm = null;
         semanticMatchOrder = [];
         semanticMatchCursor = -1;
         semanticResultCount = 0;
         semanticScores.clear();
+        semanticSignals.clear();
+        hybridScores.clear();
 
         for (const result of results) {
             const verseIndex = result.verseIndex;
-            const score = result.score;
+            // Hybrid results are ordered by fused score, but everything that reads
+            // semanticScores expects cosine similarity
+            const score = result.signals ? result.similarity : result.score;
             const meta = verseMetaList[verseIndex];
             if (!meta || meta.kind !== 'verse') {
                 continue;
@@ -256,13 +422,106 @@ export async function createVisualization(text, app, progressCallback = null, bo
             if (matches.length > firstMatchIndex) {
                 semanticMatchOrder.push(firstMatchIndex);
                 semanticScores.set(verseIndex, score);
+                if (result.signals) {
+                    semanticSignals.set(verseIndex, result.signals);
+                    hybridScores.set(verseIndex, result.score);
+                }
                 semanticResultCount++;
             }
         }
 
         searchManager.setMatches(matches);
-        needsRender = true;
-        updateTransform();
+        refreshMatches();
+    }
+
+    function highlightVerseRangeInternal(startVerseIndex, endVerseIndex) {
+        lexicalTerm = null;
+        semanticMatchOrder = [];
+        semanticMatchCursor = -1;
+        semanticResultCount = 0;
+        semanticScores.clear();
+        semanticSignals.clear();
+        hybridScores.clear();
+
+        const matches = [];
+        const lastLine = endVerseIndex + 1 < verseStartLines.length
+            ? verseStartLines[endVerseIndex + 1] - 1
+            : lines.length - 1;
+        for (let lineIndex = verseStartLines[startVerseIndex]; lineIndex <= lastLine; lineIndex++) {
+            const lineText = lines[lineIndex];
+            if (!lineText) continue;
+            matches.push({
+                lineIndex,
+                startChar: 0,
+                endChar: lineText.length,
+                lineText,
+                verseIndex: lineToVerseIndex[lineIndex]
+            });
+        }
+
+        searchManager.setMatches(matches);
+        refreshMatches();
+    }
+
+    /**
+     * Collects the verses with at least one wrapped line inside the viewport
+     */
+    function getVisibleVerseIndices() {
+        const invZoom = 1 / zoom;
+        const worldLeft = -offsetX * invZoom;
+        const worldRight = (app.screen.width - offsetX) * invZoom;
+        const worldTop = -offsetY * invZoom;
+        const worldBottom = (app.screen.height - offsetY) * invZoom;
+        const firstRow = Math.max(0, Math.floor((worldTop - config.padding) / config.lineHeight));
+        const lastRow = Math.ceil((worldBottom - config.padding) / config.lineHeight);
+
+        const visibleVerses = new Set();
+        for (let col = 0; col < numColumns; col++) {
+            const colX = cachedColumnXPositions[col];
+            if (colX + columnWidth < worldLeft || colX > worldRight) continue;
+
+            const rowEnd = Math.min(lastRow, columnLines[col].length - 1);
+            for (let row = firstRow; row <= rowEnd; row++) {
+                const verseIndex = lineToVerseIndex[col * linesPerColumn + row];
+                if (verseIndex >= 0) {
+                    visibleVerses.add(verseIndex);
+                }
+            }
+        }
+        return visibleVerses;
+    }
+
+    /**
+     * Turns a search scope into a verse predicate (null means the whole text)
+     * @param {Object} scope - { type: 'all' | 'books' | 'reference' | 'visible', bookIndices, text }
+     * @returns {Function|null}
+     */
+    function resolveSearchScope(scope) {
+        if (!scope || scope.type === 'all') {
+            return null;
+        }
+
+        if (scope.type === 'books') {
+            if (!scope.bookIndices || scope.bookIndices.length === 0) {
+                const error = new Error('Select at least one book to search.');
+                error.code = 'invalid-scope';
+                throw error;
+            }
+            const bookNames = new Set(scope.bookIndices.map((bookIndex) => BOOK_DEFINITIONS[bookIndex]?.name));
+            return (verseIndex) => bookNames.has(verseMetaList[verseIndex]?.book);
+        }
+
+        if (scope.type === 'reference') {
+            const { startVerseIndex, endVerseIndex } = resolveReference(parseReference(scope.text), verseMetaList);
+            return (verseIndex) => verseIndex >= startVerseIndex && verseIndex <= endVerseIndex;
+        }
+
+        if (scope.type === 'visible') {
+            const visibleVerses = getVisibleVerseIndices();
+            return (verseIndex) => visibleVerses.has(verseIndex);
+        }
+
+        return null;
     }
 
     // Match navigation functions
@@ -278,8 +537,7 @@ export async function createVisualization(text, app, progressCallback = null, bo
 
         // Calculate position of the match in world coordinates
         const matchColumnX = config.padding + columnIndex * (columnWidth + config.columnGap);
-        const beforeMatch = lineText.substring(0, startChar);
-        const beforeWidth = beforeMatch.length * config.charWidth;
+        const beforeWidth = textMeasurer.getOffset(lineText, startChar);
 
         const matchWorldX = matchColumnX + beforeWidth;
         const matchWorldY = config.padding + columnLineIndex * config.lineHeight;
@@ -294,41 +552,46 @@ export async function createVisualization(text, app, progressCallback = null, bo
         const columnLineIndex = lineIndex - (columnIndex * linesPerColumn);
         const matchColumnX = config.padding + columnIndex * (columnWidth + config.columnGap);
         const lineText = lines[lineIndex] || '';
-        const beforeMatch = lineText.substring(0, startChar);
-        const beforeWidth = beforeMatch.length * config.charWidth;
+        const beforeWidth = textMeasurer.getOffset(lineText, startChar);
         const matchWorldX = matchColumnX + beforeWidth;
         const matchWorldY = config.padding + columnLineIndex * config.lineHeight;
 
         return { matchWorldX, matchWorldY };
     }
 
-    function jumpToLineAndZoom(lineIndex) {
-        const position = calculateLinePosition(lineIndex, 0);
-        if (!position) return false;
+    function dispatchZoomChanged() {
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('visualization-zoom-changed', {
+                detail: { zoom }
+            }));
+        }
+    }
 
-        const { matchWorldX, matchWorldY } = position;
-        const centerScreenX = app.screen.width / 2;
-        const centerScreenY = app.screen.height / 2;
+    /**
+     * Animates the camera so the given world point ends up centered at targetZoom
+     */
+    function animateCameraTo(targetZoom, worldX, worldY) {
+        camera.animateTo({
+            zoom: targetZoom,
+            offsetX: app.screen.width / 2 - worldX * targetZoom,
+            offsetY: app.screen.height / 2 - worldY * targetZoom
+        });
+    }
 
-        const targetZoom = Math.max(
+    function getClickZoom() {
+        // Zoom in aggressively, but relative to where the camera is heading
+        const baseZoom = camera.getTargetView()?.zoom ?? zoom;
+        return Math.max(
             ZOOM_CONFIG.clickZoomMin,
-            Math.min(ZOOM_CONFIG.clickZoomMax, zoom * ZOOM_CONFIG.clickZoomMultiplier)
+            Math.min(ZOOM_CONFIG.clickZoomMax, baseZoom * ZOOM_CONFIG.clickZoomMultiplier)
         );
+    }
 
-        zoom = targetZoom;
-        const matchScreenX = matchWorldX * zoom;
-        const matchScreenY = matchWorldY * zoom;
-        offsetX = centerScreenX - matchScreenX;
-        offsetY = centerScreenY - matchScreenY;
-
-        updateTransform();
-
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('visualization-zoom-changed', {
-                detail: { zoom: targetZoom }
-            }));
-        }
+    function jumpToLineAndZoom(lineIndex) {
+        const position = calculateLinePosition(lineIndex, 0);
+        if (!position) return false;
 
+        animateCameraTo(getClickZoom(), position.matchWorldX, position.matchWorldY);
         return true;
     }
 
@@ -340,35 +603,9 @@ export async function createVisualization(text, app, progressCallback = null, bo
         const position = calculateMatchPosition(matchIndex);
         if (!position) return false;
 
-        const { matchWorldX, matchWorldY } = position;
-
-        // Calculate center of screen
-        const centerScreenX = app.screen.width / 2;
-        const centerScreenY = app.screen.height / 2;
-
-        // Zoom in aggressively
-        const targetZoom = Math.max(
-            ZOOM_CONFIG.clickZoomMin,
-            Math.min(ZOOM_CONFIG.clickZoomMax, zoom * ZOOM_CONFIG.clickZoomMultiplier)
-        );
-
-        zoom = targetZoom;
-
-        // Calculate offset to center the match
-        const matchScreenX = matchWorldX * zoom;
-        const matchScreenY = matchWorldY * zoom;
-        offsetX = centerScreenX - matchScreenX;
-        offsetY = centerScreenY - matchScreenY;
-
         searchManager.setCurrentMatchIndex(matchIndex);
-        updateTransform();
-
-        // Trigger zoom change event
-        if (typeof window !== 'undefined') {
-            window.dispatchEvent(new CustomEvent('visualization-zoom-changed', {
-                detail: { zoom: targetZoom }
-            }));
-        }
+        focusedVerseIndex = getVerseIndexForLine(searchManager.getMatch(matchIndex).lineIndex);
+        animateCameraTo(getClickZoom(), position.matchWorldX, position.matchWorldY);
 
         return true;
     }
@@ -381,15 +618,8 @@ export async function createVisualization(text, app, progressCallback = null, bo
         const position = calculateMatchPosition(matchIndex);
         if (!position) return false;
 
-        const { matchWorldX, matchWorldY } = position;
-        const matchScreenX = matchWorldX * zoom;
-        const matchScreenY = matchWorldY * zoom;
-
-        offsetX = app.screen.width / 2 - matchScreenX;
-        offsetY = app.screen.height / 2 - matchScreenY;
-
         searchManager.setCurrentMatchIndex(matchIndex);
-        updateTransform();
+        animateCameraTo(zoom, position.matchWorldX, position.matchWorldY);
 
         return true;
     }
@@ -402,6 +632,13 @@ export async function createVisualization(text, app, progressCallback = null, bo
         return jumpToMatchAndZoom(nextIndex);
     }
 
+    function jumpToLexicalMatch(matchIndex) {
+        if (matchIndex < 0) {
+            return false;
+        }
+        return jumpToMatchAndZoom(matchIndex);
+    }
+
     function jumpToNextSemanticMatchInternal() {
         if (semanticMatchOrder.length === 0) {
             return false;
@@ -411,20 +648,473 @@ export async function createVisualization(text, app, progressCallback = null, bo
         return jumpToMatchAndZoom(matchIndex);
     }
 
+    function jumpToSemanticMatchAt(cursor) {
+        if (cursor < 0 || cursor >= semanticMatchOrder.length) {
+            return false;
+        }
+        semanticMatchCursor = cursor;
+        return jumpToMatchAndZoom(semanticMatchOrder[cursor]);
+    }
+
+    /**
+     * Maps a screen point to the wrapped line, character and verse under it,
+     * using the same column math as calculateLinePosition.
+     * With clamp, points outside the text snap to the nearest line and character
+     * (charIndex may then equal the line length, i.e. the end of the line).
+     * @returns {{lineIndex: number, charIndex: number, verseIndex: number}|null} - null outside text
+     */
+    function hitTestInternal(screenX, screenY, clamp = false) {
+        const worldX = (screenX - offsetX) / zoom;
+        const worldY = (screenY - offsetY) / zoom;
+
+        const columnStride = columnWidth + config.columnGap;
+        let columnIndex = Math.floor((worldX - config.padding) / columnStride);
+        let columnLineIndex = Math.floor((worldY - config.padding) / config.lineHeight);
+        if (clamp) {
+            columnIndex = Math.max(0, Math.min(numColumns - 1, columnIndex));
+            columnLineIndex = Math.max(0, Math.min(columnLines[columnIndex].length - 1, columnLineIndex));
+        }
+        if (columnIndex < 0 || columnIndex >= numColumns) return null;
+        if (columnLineIndex < 0 || columnLineIndex >= columnLines[columnIndex].length) return null;
+
+        const lineIndex = columnIndex * linesPerColumn + columnLineIndex;
+        const lineText = lines[lineIndex] || '';
+        let charIndex = textMeasurer.getCharIndexAt(lineText, worldX - cachedColumnXPositions[columnIndex]);
+        if (clamp) {
+            charIndex = Math.max(0, Math.min(lineText.length, charIndex));
+        } else if (charIndex < 0 || charIndex >= lineText.length) {
+            return null;
+        }
+
+        return { lineIndex, charIndex, verseIndex: getVerseIndexForLine(lineIndex) };
+    }
+
+    function getVerseEndLine(verseIndex) {
+        return verseIndex + 1 < verseStartLines.length
+            ? verseStartLines[verseIndex + 1] - 1
+            : lines.length - 1;
+    }
+
+    function renderSelection() {
+        const visibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
+        selectionRenderer.render(selection, lines, columnLines, cachedColumnXPositions, linesPerColumn, visibleRange);
+    }
+
+    /**
+     * Spreads verse annotations over the wrapped lines they cover.
+     * Annotations for verses outside the loaded text (e.g. another book) are skipped.
+     * @returns {number} - How many annotations resolved to a loaded verse
+     */
+    function setAnnotationsInternal(annotations) {
+        annotationList = annotations;
+        lineAnnotations = new Map();
+        let resolvedCount = 0;
+        for (const annotation of annotations) {
+            const verseIndex = verseIndexByReference.get(annotation.reference);
+            if (verseIndex === undefined) continue;
+            resolvedCount++;
+
+            const startLine = verseStartLines[verseIndex];
+            const endLine = getVerseEndLine(verseIndex);
+            for (let lineIndex = startLine; lineIndex <= endLine; lineIndex++) {
+                lineAnnotations.set(lineIndex, {
+                    color: annotation.color ?? null,
+                    bookmarked: Boolean(annotation.bookmarked),
+                    hasNote: Boolean(annotation.note),
+                    isFirstLine: lineIndex === startLine
+                });
+            }
+        }
+
+        const visibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
+        annotationRenderer.render(lineAnnotations, lines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange);
+        return resolvedCount;
+    }
+
+    /**
+     * Runs each layer's query with its own SearchManager, reusing the matches of
+     * layers whose query and options did not change (e.g. when only toggled or recolored)
+     */
+    function setHighlightLayersInternal(layers) {
+        const previous = new Map(highlightLayers.map((layer) => [layer.id, layer]));
+        const results = [];
+        highlightLayers = layers.map(({ id, query, color, visible = true, caseSensitive = false, wholeWord = false, scope = null }) => {
+            const key = JSON.stringify([query, caseSensitive, wholeWord, scope]);
+            let layerSearchManager = previous.get(id)?.key === key ? previous.get(id).searchManager : null;
+            let result = { id, status: 'ready', count: layerSearchManager?.getResultCount() ?? 0 };
+            if (!layerSearchManager) {
+                layerSearchManager = new SearchManager();
+                try {
+                    result.count = layerSearchManager.performSearch(lines, query, {
+                        caseSensitive,
+                        wholeWord,
+                        verses: verseList,
+                        verseStartLines,
+                        verseFilter: resolveSearchScope(scope),
+                        index: searchIndex
+                    });
+                } catch (error) {
+                    if (!error?.code) throw error;
+                    layerSearchManager.clear();
+                    result = { id, status: 'error', message: error.message, count: 0 };
+                }
+            }
+            results.push(result);
+            return { id, key, color, visible, searchManager: layerSearchManager };
+        });
+
+        const visibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
+        const visibleColumns = viewportManager.getVisibleColumnRange(zoom, offsetX, cachedColumnXPositions, columnWidth);
+        highlightLayerRenderer.render(highlightLayers, columnLines, cachedColumnXPositions, columnWidth, linesPerColumn, visibleRange, visibleColumns, zoom);
+        return results;
+    }
+
+    /**
+     * Maps a score to [0, 1]: by its rank among the current results, or by its
+     * absolute value within SEMANTIC_HIGHLIGHT_CONFIG.absoluteRange
+     */
+    function getScoreFraction(verseIndex, score) {
+        if (scoreColoring.mode === 'absolute') {
+            const { min, max } = SEMANTIC_HIGHLIGHT_CONFIG.absoluteRange;
+            return Math.max(0, Math.min(1, (score - min) / (max - min)));
+        }
+
+        if (!scoreRanks) {
+            const rankScores = hybridScores.size > 0 ? hybridScores : semanticScores;
+            const ranked = Array.from(rankScores.entries()).sort((a, b) => b[1] - a[1]);
+            scoreRanks = new Map(ranked.map(([rankedVerse], rank) => [
+                rankedVerse,
+                ranked.length > 1 ? 1 - rank / (ranked.length - 1) : 1
+            ]));
+        }
+        return scoreRanks.get(verseIndex) ?? 0;
+    }
+
+    function getScoreStyle(match) {
+        const t = getScoreFraction(match.verseIndex, match.score);
+        const { ramps, minOpacity, maxOpacity } = SEMANTIC_HIGHLIGHT_CONFIG;
+        return {
+            color: getRampColor(t, ramps[scoreColoring.ramp]),
+            opacity: minOpacity + (maxOpacity - minOpacity) * t
+        };
+    }
+
+    /**
+     * Ranks keyword matches with BM25 and semantic matches by cosine score, then
+     * fuses the two lists. Each result also carries the verse's cosine similarity,
+     * including verses only the keyword search found. Expects the semantic index
+     * to be ready.
+     * @returns {Promise<{status: string, message?: string, results: Array}>}
+     */
+    async function rankHybridResults(term, minScore, scope) {
+        let verseFilter;
+        let lexical;
+        try {
+            verseFilter = resolveSearchScope(scope);
+            lexical = searchIndex.search(term, { verseFilter });
+        } catch (error) {
+            if (!error?.code) throw error;
+            return { status: 'error', message: error.message, results: [] };
+        }
+
+        const scored = await semanticIndex.searchText(term, null);
+        const similarities = new Map(scored.map((r) => [r.verseIndex, r.score]));
+        const semantic = scored.filter((r) => verseMetaList[r.verseIndex]?.kind === 'verse'
+            && (!verseFilter || verseFilter(r.verseIndex))
+            && (minScore === null || minScore <= 0 || r.score >= minScore));
+        const results = fuseRankings(lexical, semantic).map((result) => ({
+            ...result,
+            similarity: similarities.get(result.verseIndex) ?? 0
+        }));
+        return { status: 'ready', results };
+    }
+
+    function isHeatmapActive() {
+        return heatmapOptions.mode === 'always'
+            || (heatmapOptions.mode === 'auto' && zoom < HEATMAP_CONFIG.autoZoomThreshold);
+    }
+
+    /**
+     * Bins the current matches for the heatmap. Lexical matches count once per
+     * occurrence; semantic matches count once per verse and carry its score.
+     */
+    function getHeatmap() {
+        if (heatmap) return heatmap;
+
+        const isSemantic = semanticResultCount > 0;
+        const lineHits = new Map();
+        const lineScores = new Map();
+        if (isSemantic) {
+            semanticScores.forEach((score, verseIndex) => {
+                const startLine = verseStartLines[verseIndex];
+                lineHits.set(startLine, 1);
+                lineScores.set(startLine, score);
+            });
+        } else {
+            for (const match of searchManager.getAllMatches()) {
+                lineHits.set(match.lineIndex, (lineHits.get(match.lineIndex) || 0) + 1);
+            }
+        }
+
+        if (heatmapOptions.metric === 'meanScore' && !isSemantic) {
+            heatmap = { bins: [], min: 0, max: 0, rampMin: 0, status: 'unavailable', message: 'Mean score needs a semantic search' };
+            return heatmap;
+        }
+
+        if (!heatmapLineWords) {
+            heatmapLineWords = countLineWords(lines, verseMetaList, verseStartLines);
+        }
+        const bins = buildHeatmapBins(heatmapOptions.binSize, lines, verseMetaList, verseStartLines);
+        const values = computeHeatmapValues(bins, lineHits, lineScores, heatmapLineWords, heatmapOptions.metric);
+        heatmap = {
+            ...values,
+            // Scores are compared against each other; counts and rates start from zero
+            rampMin: heatmapOptions.metric === 'meanScore' ? values.min : 0,
+            status: values.bins.length > 0 ? 'ready' : 'empty',
+            message: values.bins.length > 0 ? '' : 'No matches to map'
+        };
+        return heatmap;
+    }
+
+    /**
+     * Normalizes an anchor/focus pair into an ordered range; verse granularity
+     * expands it to whole verses
+     */
+    function setSelectionInternal(anchor, focus, granularity) {
+        const isAnchorFirst = anchor.lineIndex < focus.lineIndex
+            || (anchor.lineIndex === focus.lineIndex && anchor.charIndex <= focus.charIndex);
+        const start = isAnchorFirst ? anchor : focus;
+        const end = isAnchorFirst ? focus : anchor;
+
+        let next;
+        if (granularity === 'verse') {
+            const startVerse = getVerseIndexForLine(start.lineIndex);
+            const endVerse = getVerseIndexForLine(end.lineIndex);
+            if (startVerse < 0 || endVerse < 0) return null;
+            const endLine = getVerseEndLine(endVerse);
+            next = {
+                startLine: verseStartLines[startVerse],
+                startChar: 0,
+                endLine,
+                endChar: (lines[endLine] || '').length,
+                granularity
+            };
+        } else {
+            next = {
+                startLine: start.lineIndex,
+                startChar: start.charIndex,
+                endLine: end.lineIndex,
+                endChar: Math.min((lines[end.lineIndex] || '').length, end.charIndex + 1),
+                granularity
+            };
+        }
+
+        selection = next;
+        renderSelection();
+        return { ...selection };
+    }
+
+    /**
+     * Collects the selected part of each verse with its display prefix removed.
+     * Wrapped lines split a verse at single spaces, so joining them restores its text.
+     */
+    function getSelectedVersesInternal() {
+        if (!selection) return [];
+
+        const result = [];
+        const firstVerse = getVerseIndexForLine(selection.startLine);
+        const lastVerse = getVerseIndexForLine(selection.endLine);
+        for (let verseIndex = firstVerse; verseIndex <= lastVerse; verseIndex++) {
+            const meta = verseMetaList[verseIndex];
+            const verseStart = verseStartLines[verseIndex];
+            if (meta?.kind !== 'verse' || verseStart === undefined) continue;
+
+            const verseLines = lines.slice(verseStart, getVerseEndLine(verseIndex) + 1);
+            const fullText = verseLines.join(' ');
+            let selectedStart = 0;
+            let selectedEnd = fullText.length;
+            let lineOffset = 0;
+            verseLines.forEach((lineText, index) => {
+                const lineIndex = verseStart + index;
+                if (lineIndex === selection.startLine) selectedStart = lineOffset + selection.startChar;
+                if (lineIndex === selection.endLine) selectedEnd = lineOffset + selection.endChar;
+                lineOffset += lineText.length + 1;
+            });
+
+            const prefixLength = getVersePrefixLength(fullText, meta);
+            const bodyStart = Math.max(selectedStart, prefixLength);
+            const text = fullText.slice(bodyStart, selectedEnd).trim();
+            if (!text) continue;
+
+            result.push({
+                verseIndex,
+                book: meta.book,
+                chapter: meta.chapter,
+                verse: meta.verse,
+                text,
+                partialStart: selectedStart > prefixLength,
+                partialEnd: selectedEnd < fullText.length
+            });
+        }
+        return result;
+    }
+
+    async function findCrossReferences(verseIndex, minScore, limit) {
+        await prepareSemanticSearch();
+        if (semanticState.status !== 'ready') {
+            return { status: semanticState.status, message: semanticState.message, refs: [] };
+        }
+
+        const results = await semanticIndex.searchByVerseIndex(verseIndex, limit, minScore);
+        const refs = results.map((result) => ({
+            verseIndex: result.verseIndex,
+            score: result.score,
+            reference: formatVerseReference(result.verseIndex) || 'Unknown',
+            text: verseList[result.verseIndex] || ''
+        }));
+
+        return { status: 'ready', verseIndex, refs };
+    }
+
     function getVerseIndexForLine(lineIndex) {
         if (lineIndex < 0 || lineIndex >= lineToVerseIndex.length) return -1;
         return lineToVerseIndex[lineIndex] ?? -1;
     }
 
+    /**
+     * Converts a wrapped-line position to an offset into its verse's lines joined
+     * by single spaces, which stays valid when the verse is wrapped differently
+     * @returns {{verseIndex: number, offset: number}|null}
+     */
+    function toVerseOffset(lineIndex, charIndex) {
+        const verseIndex = getVerseIndexForLine(lineIndex);
+        if (verseIndex < 0) return null;
+        let offset = charIndex;
+        for (let index = verseStartLines[verseIndex]; index < lineIndex; index++) {
+            offset += lines[index].length + 1;
+        }
+        return { verseIndex, offset };
+    }
+
+    /**
+     * Inverse of toVerseOffset for the current wrapping
+     * @returns {{lineIndex: number, charIndex: number}}
+     */
+    function fromVerseOffset({ verseIndex, offset }) {
+        const endLine = getVerseEndLine(verseIndex);
+        let remaining = offset;
+        for (let lineIndex = verseStartLines[verseIndex]; lineIndex < endLine; lineIndex++) {
+            if (remaining <= lines[lineIndex].length) return { lineIndex, charIndex: remaining };
+            remaining -= lines[lineIndex].length + 1;
+        }
+        return { lineIndex: endLine, charIndex: Math.min(remaining, (lines[endLine] || '').length) };
+    }
+
+    /**
+     * Lays the text out again with new layout options. Re-wraps only when the
+     * line width changed; columns, book regions, matches, the selection and
+     * annotations are recalculated either way. The character at the center of
+     * the screen stays put unless the view was fully zoomed out, in which case
+     * it fits the new layout instead.
+     * @returns {Promise<boolean>} - false if a later layout change superseded this one
+     */
+    async function setLayoutInternal(nextOptions) {
+        const version = ++layoutVersion;
+        const nextLayout = { ...layoutOptions, ...nextOptions };
+        const nextLineWidth = nextLayout.lineWidth ?? defaultLineWidth;
+        let wrapped = null;
+        if (nextLineWidth !== config.lineWidth) {
+            wrapped = await wrapVerses(verseList, nextLineWidth * config.charWidth, textMeasurer);
+            if (version !== layoutVersion) return false;
+        }
+
+        layoutOptions = nextLayout;
+        reflow(() => {
+            if (!wrapped) return;
+            config.lineWidth = nextLineWidth;
+            columnWidth = nextLineWidth * config.charWidth;
+            ({ lines, verseStartLines, lineWidths } = wrapped);
+            lineToVerseIndex = mapLinesToVerses(lines.length, verseStartLines);
+        });
+        return true;
+    }
+
+    /**
+     * Applies a layout change made by rewrap (which may replace the wrapped
+     * lines) and moves everything positioned by line onto the new layout
+     */
+    function reflow(rewrap) {
+        camera.stop();
+        const center = hitTestInternal(app.screen.width / 2, app.screen.height / 2, true);
+        const anchor = center ? toVerseOffset(center.lineIndex, center.charIndex) : null;
+        const anchorPosition = anchor ? calculateLinePosition(center.lineIndex, center.charIndex) : null;
+        const anchorScreenX = anchorPosition ? anchorPosition.matchWorldX * zoom + offsetX : 0;
+        const anchorScreenY = anchorPosition ? anchorPosition.matchWorldY * zoom + offsetY : 0;
+        const wasFitted = Math.abs(zoom - initialZoom) < 0.001;
+        const selectionStart = selection ? toVerseOffset(selection.startLine, selection.startChar) : null;
+        const selectionEnd = selection ? toVerseOffset(selection.endLine, selection.endChar) : null;
+
+        rewrap();
+        applyColumnLayout();
+        heatmapLineWords = null;
+        textLodRenderer.setLineWidths(lineWidths);
+        // Highlights are keyed by match index, which the remap may reassign
+        highlightRenderer.clear();
+
+        const matchIndexMap = searchManager.remapMatches(lines, verseList, verseStartLines);
+        semanticMatchOrder = semanticMatchOrder.map((matchIndex) => matchIndexMap[matchIndex]);
+        highlightLayers.forEach((layer) => layer.searchManager.remapMatches(lines, verseList, verseStartLines));
+
+        if (selectionStart && selectionEnd) {
+            const start = fromVerseOffset(selectionStart);
+            const end = fromVerseOffset(selectionEnd);
+            selection = { ...selection, startLine: start.lineIndex, startChar: start.charIndex, endLine: end.lineIndex, endChar: end.charIndex };
+        } else {
+            selection = null;
+        }
+        setAnnotationsInternal(annotationList);
+
+        initialZoom = viewportManager.calculateInitialZoom(totalWidth, totalHeight);
+        if (wasFitted || !anchor) {
+            zoom = initialZoom;
+            offsetX = (app.screen.width - totalWidth * zoom) / 2;
+            offsetY = (app.screen.height - totalHeight * zoom) / 2;
+        } else {
+            const anchorLine = fromVerseOffset(anchor);
+            const position = calculateLinePosition(anchorLine.lineIndex, anchorLine.charIndex);
+            offsetX = anchorScreenX - position.matchWorldX * zoom;
+            offsetY = anchorScreenY - position.matchWorldY * zoom;
+        }
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('visualization-layout-changed', {
+                detail: { lineWidth: config.lineWidth, numColumns }
+            }));
+        }
+        refreshMatches();
+        dispatchZoomChanged();
+    }
+
     function formatVerseReference(verseIndex) {
         const meta = verseMetaList[verseIndex];
         if (!meta || meta.kind !== 'verse') return null;
         return `${meta.book} ${meta.chapter}:${meta.verse}`;
     }
 
+    function findVerseIndex(book, chapter, verse) {
+        const bookName = String(book).toLowerCase();
+        const chapterText = String(chapter);
+        const verseText = String(verse);
+        return verseMetaList.findIndex((meta) => meta.kind === 'verse'
+            && meta.book.toLowerCase() === bookName
+            && meta.chapter === chapterText
+            && meta.verse === verseText);
+    }
+
     // Public API
     return {
         setZoom(newZoom, focalPointX = null, focalPointY = null) {
+            camera.stop();
             if (focalPointX !== null && focalPointY !== null) {
                 const oldZoom = zoom;
                 zoom = newZoom;
@@ -449,42 +1139,129 @@ export async function createVisualization(text, app, progressCallback = null, bo
         },
 
         pan(dx, dy) {
+            camera.stop();
             offsetX += dx;
             offsetY += dy;
             updateTransform();
         },
 
-        resetView() {
+        /**
+         * Gets the camera as a zoom plus the world point at the screen center,
+         * which stays meaningful across different window sizes
+         */
+        getViewState() {
+            return {
+                zoom,
+                centerX: (app.screen.width / 2 - offsetX) / zoom,
+                centerY: (app.screen.height / 2 - offsetY) / zoom
+            };
+        },
+
+        setViewState({ zoom: targetZoom, centerX, centerY }) {
+            this.setZoom(targetZoom);
+            const targetOffsetX = app.screen.width / 2 - centerX * zoom;
+            const targetOffsetY = app.screen.height / 2 - centerY * zoom;
+            this.pan(targetOffsetX - offsetX, targetOffsetY - offsetY);
+            dispatchZoomChanged();
+        },
+
+        /**
+         * Centers the whole text, optionally changing zoom
+         * @param {number|null} targetZoom - Zoom to end at (defaults to the current zoom)
+         * @param {Object} options - { animate: false } jumps immediately (e.g. on resize)
+         */
+        resetView(targetZoom = null, { animate = true } = {}) {
+            const endZoom = targetZoom ?? zoom;
+            if (animate) {
+                animateCameraTo(endZoom, totalWidth / 2, totalHeight / 2);
+                return;
+            }
+            camera.stop();
+            zoom = endZoom;
             offsetX = (app.screen.width - totalWidth * zoom) / 2;
             offsetY = (app.screen.height - totalHeight * zoom) / 2;
             updateTransform();
         },
 
-        search(term) {
+        isCameraAnimating() {
+            return camera.isAnimating();
+        },
+
+        stopCameraAnimation() {
+            camera.stop();
+        },
+
+        /**
+         * Runs a lexical query search
+         * @param {string} term - Query text
+         * @param {Object} options - { caseSensitive, wholeWord, scope }
+         * @returns {{status: string, count: number, message?: string}}
+         */
+        search(term, options = {}) {
             semanticMatchOrder = [];
             semanticMatchCursor = -1;
             semanticResultCount = 0;
             semanticScores.clear();
-            searchManager.performSearch(lines, term);
-            needsRender = true;
-            updateTransform();
+            semanticSignals.clear();
+            hybridScores.clear();
+
+            let result;
+            try {
+                const { scope, ...queryOptions } = options;
+                const count = searchManager.performSearch(lines, term, {
+                    ...queryOptions,
+                    verses: verseList,
+                    verseStartLines,
+                    verseFilter: resolveSearchScope(scope),
+                    index: searchIndex
+                });
+                result = { status: 'ready', count };
+                lexicalTerm = term;
+            } catch (error) {
+                if (!error?.code) throw error;
+                searchManager.clear();
+                lexicalTerm = null;
+                result = { status: 'error', message: error.message, count: 0 };
+            }
+
+            refreshMatches();
+            return result;
         },
 
-        async searchSemantic(term, topK = null, minScore = null) {
+        async searchSemantic(term, topK = null, minScore = null, scope = null) {
             if (!term || term.length < 2) {
                 clearSearchState();
                 return { status: 'cleared', count: 0 };
             }
 
+            let verseFilter;
+            try {
+                verseFilter = resolveSearchScope(scope);
+            } catch (error) {
+                if (!error?.code) throw error;
+                clearSearchState();
+                return { status: 'error', message: error.message, count: 0 };
+            }
+
             await prepareSemanticSearch();
             if (semanticState.status !== 'ready') {
                 clearSearchState();
                 return { status: semanticState.status, message: semanticState.message, count: 0 };
             }
 
-            // Get more results than requested, then filter by threshold if provided
-            const fetchCount = topK === null ? null : (minScore !== null ? Math.max(topK, 100) : topK);
+            // Get more results than requested, then filter by threshold if provided.
+            // Scoped searches rank every verse so the scope cannot starve the top K.
+            const fetchCount = topK === null || verseFilter
+                ? null
+                : (minScore !== null ? Math.max(topK, 100) : topK);
             let results = await semanticIndex.searchText(term, fetchCount);
+
+            if (verseFilter) {
+                results = results.filter((r) => verseFilter(r.verseIndex));
+                if (topK !== null && (minScore === null || minScore <= 0) && results.length > topK) {
+                    results = results.slice(0, topK);
+                }
+            }
             
             // Filter by minimum score threshold if provided
             if (minScore !== null && minScore > 0) {
@@ -503,14 +1280,153 @@ export async function createVisualization(text, app, progressCallback = null, bo
             };
         },
 
+        /**
+         * Runs lexical and semantic search together and merges them with reciprocal
+         * rank fusion. Lexical hits are ranked with BM25; semantic hits below minScore
+         * are left out. Results are shown like semantic results, one match per verse.
+         * @returns {Promise<{status: string, count: number, message?: string}>}
+         */
+        async searchHybrid(term, minScore = null, scope = null) {
+            if (!term || term.length < 2) {
+                clearSearchState();
+                return { status: 'cleared', count: 0 };
+            }
+
+            await prepareSemanticSearch();
+            if (semanticState.status !== 'ready') {
+                clearSearchState();
+                return { status: semanticState.status, message: semanticState.message, count: 0 };
+            }
+
+            const { status, message, results } = await rankHybridResults(term, minScore, scope);
+            if (status === 'error') {
+                clearSearchState();
+                return { status, message, count: 0 };
+            }
+            buildSemanticMatches(results);
+            return { status: semanticState.status, count: semanticResultCount };
+        },
+
         getSearchResultCount() {
             return searchManager.getResultCount();
         },
 
+        /**
+         * BM25 relevance of each verse with a current lexical match
+         * @returns {Map<number, number>} - verseIndex -> score; empty when no lexical search is shown
+         */
+        getLexicalScores() {
+            if (lexicalScores) return lexicalScores;
+            if (!lexicalTerm) return new Map();
+
+            const matchedVerses = new Set();
+            for (const match of searchManager.getAllMatches()) {
+                if (match.verseIndex !== undefined) matchedVerses.add(match.verseIndex);
+            }
+            lexicalScores = searchIndex.scoreVerses(lexicalTerm, matchedVerses);
+            return lexicalScores;
+        },
+
+        /**
+         * Completes a partial word from the text's vocabulary, most frequent first
+         * @returns {Array<{word: string, count: number}>}
+         */
+        completeWord(prefix, limit) {
+            return searchIndex.complete(prefix, limit);
+        },
+
+        /**
+         * Counts lexical matches without replacing the current search
+         * @param {string} term - Query text
+         * @param {Object} options - { caseSensitive, wholeWord, scope }
+         * @returns {{status: string, count: number, message?: string}}
+         */
+        countMatches(term, options = {}) {
+            try {
+                const { scope, ...queryOptions } = options;
+                const count = new SearchManager().performSearch(lines, term, {
+                    ...queryOptions,
+                    verses: verseList,
+                    verseStartLines,
+                    verseFilter: resolveSearchScope(scope),
+                    index: searchIndex
+                });
+                return { status: 'ready', count };
+            } catch (error) {
+                if (!error?.code) throw error;
+                return { status: 'error', message: error.message, count: 0 };
+            }
+        },
+
+        /**
+         * Counts semantic matches above a threshold without replacing the current search.
+         * Never loads the model; reports the semantic status instead when it isn't ready.
+         * @returns {Promise<{status: string, count: number, message?: string}>}
+         */
+        async countSemanticMatches(term, minScore = null, scope = null) {
+            if (semanticState.status !== 'ready') {
+                return { status: semanticState.status, message: semanticState.message, count: 0 };
+            }
+
+            let verseFilter;
+            try {
+                verseFilter = resolveSearchScope(scope);
+            } catch (error) {
+                if (!error?.code) throw error;
+                return { status: 'error', message: error.message, count: 0 };
+            }
+
+            const results = await semanticIndex.searchText(term, null);
+            const count = results.filter((r) => verseMetaList[r.verseIndex]?.kind === 'verse'
+                && (!verseFilter || verseFilter(r.verseIndex))
+                && (minScore === null || minScore <= 0 || r.score >= minScore)).length;
+            return { status: 'ready', count };
+        },
+
+        /**
+         * Counts hybrid results without replacing the current search. Like
+         * countSemanticMatches, never loads the model.
+         * @returns {Promise<{status: string, count: number, message?: string}>}
+         */
+        async countHybridMatches(term, minScore = null, scope = null) {
+            if (semanticState.status !== 'ready') {
+                return { status: semanticState.status, message: semanticState.message, count: 0 };
+            }
+            const { status, message, results } = await rankHybridResults(term, minScore, scope);
+            return status === 'error' ? { status, message, count: 0 } : { status, count: results.length };
+        },
+
         getSemanticResultCount() {
             return semanticResultCount;
         },
 
+        /**
+         * Breaks the current results down by book, in canonical order.
+         * Lexical results count occurrences; semantic results count verses.
+         * @returns {Array<{bookIndex: number, book: string, count: number}>}
+         */
+        getMatchCountsByBook() {
+            const counts = new Map();
+            const addVerse = (verseIndex) => {
+                const book = verseMetaList[verseIndex]?.book;
+                if (book) {
+                    counts.set(book, (counts.get(book) || 0) + 1);
+                }
+            };
+
+            if (semanticResultCount > 0) {
+                semanticScores.forEach((score, verseIndex) => addVerse(verseIndex));
+            } else {
+                for (const match of searchManager.getAllMatches()) {
+                    addVerse(match.verseIndex ?? getVerseIndexForLine(match.lineIndex));
+                }
+            }
+
+            return BOOK_DEFINITIONS
+                .map((book, bookIndex) => ({ bookIndex, book: book.name, count: counts.get(book.name) || 0 }))
+                .filter((entry) => entry.count > 0);
+        },
+
         getCurrentMatchIndex() {
             return searchManager.getCurrentMatchIndex();
         },
@@ -523,10 +1439,75 @@ export async function createVisualization(text, app, progressCallback = null, bo
             return jumpToNextMatchInternal();
         },
 
+        jumpToMatchAndZoom(matchIndex) {
+            return jumpToMatchAndZoom(matchIndex);
+        },
+
+        /**
+         * Gets keyword-in-context text for a lexical match
+         * @param {number} matchIndex - Match index
+         * @param {number} contextChars - Characters of context on each side
+         * @returns {{verseIndex: number, reference: string, before: string, hit: string, after: string}|null}
+         */
+        getMatchContext(matchIndex, contextChars = 40) {
+            const match = searchManager.getMatch(matchIndex);
+            if (!match || match.verseStart === undefined || match.verseIndex === undefined) {
+                return null;
+            }
+
+            const verseText = verseList[match.verseIndex] || '';
+            const beforeStart = Math.max(0, match.verseStart - contextChars);
+            const afterEnd = Math.min(verseText.length, match.verseEnd + contextChars);
+
+            return {
+                verseIndex: match.verseIndex,
+                reference: formatVerseReference(match.verseIndex) || 'Unknown',
+                before: (beforeStart > 0 ? '…' : '') + verseText.slice(beforeStart, match.verseStart),
+                hit: verseText.slice(match.verseStart, match.verseEnd),
+                after: verseText.slice(match.verseEnd, afterEnd) + (afterEnd < verseText.length ? '…' : '')
+            };
+        },
+
         jumpToNextSemanticMatch() {
             return jumpToNextSemanticMatchInternal();
         },
 
+        jumpToPreviousMatch() {
+            return jumpToLexicalMatch(searchManager.moveToPreviousMatch());
+        },
+
+        jumpToFirstMatch() {
+            return jumpToLexicalMatch(searchManager.moveToFirstMatch());
+        },
+
+        jumpToLastMatch() {
+            return jumpToLexicalMatch(searchManager.moveToLastMatch());
+        },
+
+        /**
+         * Jumps to a lexical match by its 1-based number
+         */
+        jumpToMatchNumber(matchNumber) {
+            return jumpToLexicalMatch(searchManager.moveToMatch(matchNumber - 1));
+        },
+
+        jumpToPreviousSemanticMatch() {
+            if (semanticMatchOrder.length === 0) {
+                return false;
+            }
+            const cursor = semanticMatchCursor <= 0
+                ? semanticMatchOrder.length - 1
+                : semanticMatchCursor - 1;
+            return jumpToSemanticMatchAt(cursor);
+        },
+
+        /**
+         * Jumps to a semantic result by its 1-based rank
+         */
+        jumpToSemanticMatchNumber(matchNumber) {
+            return jumpToSemanticMatchAt(matchNumber - 1);
+        },
+
         clearSearch() {
             clearSearchState();
         },
@@ -539,10 +1520,19 @@ export async function createVisualization(text, app, progressCallback = null, bo
             return { ...semanticState };
         },
 
+        /**
+         * Gets the cosine scores of the current semantic or hybrid results; hybrid
+         * results also carry their fused score, which orders them, and the rank and
+         * raw score from each signal that found them
+         * @returns {Array<{verseIndex: number, score: number, fusedScore?: number,
+         *   signals?: {lexical: Object|null, semantic: Object|null}}>}
+         */
         getSemanticScores() {
             return Array.from(semanticScores.entries()).map(([verseIndex, score]) => ({
                 verseIndex,
-                score
+                score,
+                fusedScore: hybridScores.get(verseIndex),
+                signals: semanticSignals.get(verseIndex)
             }));
         },
 
@@ -556,6 +1546,38 @@ export async function createVisualization(text, app, progressCallback = null, bo
             return { reference, text };
         },
 
+        /**
+         * Gets the world-space layout of the columns, for overview displays
+         */
+        getLayout() {
+            return {
+                totalWidth,
+                totalHeight,
+                columnXPositions: cachedColumnXPositions,
+                columnWidth,
+                linesPerColumn,
+                numColumns,
+                lineHeight: config.lineHeight,
+                padding: config.padding,
+                bookRegions
+            };
+        },
+
+        /**
+         * Gets the wrapped line index of every line touched by a current match
+         */
+        getMatchLineIndices() {
+            const lineIndices = [];
+            const count = searchManager.getResultCount();
+            for (let matchIndex = 0; matchIndex < count; matchIndex++) {
+                const match = searchManager.getMatch(matchIndex);
+                for (const segment of match.segments ?? [match]) {
+                    lineIndices.push(segment.lineIndex);
+                }
+            }
+            return lineIndices;
+        },
+
         getSearchManager() {
             return searchManager;
         },
@@ -575,41 +1597,245 @@ export async function createVisualization(text, app, progressCallback = null, bo
                 return { status: 'no-verse', message: 'No verse found for this match.', refs: [] };
             }
 
-            await prepareSemanticSearch();
-            if (semanticState.status !== 'ready') {
-                return { status: semanticState.status, message: semanticState.message, refs: [] };
+            return findCrossReferences(verseIndex, minScore, limit);
+        },
+
+        /**
+         * Finds semantically related verses for a verse
+         */
+        async getCrossReferencesForVerse(verseIndex, minScore = 0.25, limit = 10) {
+            if (verseMetaList[verseIndex]?.kind !== 'verse') {
+                return { status: 'no-verse', message: 'No verse selected.', refs: [] };
             }
+            return findCrossReferences(verseIndex, minScore, limit);
+        },
 
-            const results = await semanticIndex.searchByVerseIndex(verseIndex, limit, minScore);
-            const refs = results.map((result) => ({
-                verseIndex: result.verseIndex,
-                score: result.score,
-                reference: formatVerseReference(result.verseIndex) || 'Unknown',
-                text: verseList[result.verseIndex] || ''
-            }));
+        /**
+         * Hit-tests a point in canvas coordinates against the rendered text
+         * @returns {{lineIndex: number, charIndex: number, verseIndex: number}|null}
+         */
+        hitTest(screenX, screenY, { clamp = false } = {}) {
+            return hitTestInternal(screenX, screenY, clamp);
+        },
+
+        /**
+         * Selects text between two hit-test positions
+         * @param {{lineIndex: number, charIndex: number}} anchor - Where the drag started
+         * @param {{lineIndex: number, charIndex: number}} focus - Where the drag is now
+         * @param {string} granularity - 'verse' (whole verses) or 'char'
+         * @returns {Object|null} - The normalized selection
+         */
+        setSelection(anchor, focus, granularity = 'verse') {
+            return setSelectionInternal(anchor, focus, granularity);
+        },
 
-            return { status: 'ready', verseIndex, refs };
+        getSelection() {
+            return selection ? { ...selection } : null;
+        },
+
+        /**
+         * Gets the selected verses with references and the selected part of their text
+         */
+        getSelectedVerses() {
+            return getSelectedVersesInternal();
+        },
+
+        /**
+         * Replaces the rendered personal annotations
+         * @param {Array<{reference: string, color: number|null, bookmarked: boolean, note: string}>} annotations
+         * @returns {number} - How many annotations belong to loaded verses
+         */
+        setAnnotations(annotations) {
+            return setAnnotationsInternal(annotations);
+        },
+
+        /**
+         * Configures how semantic highlights are colored by score
+         * @param {Object} options - Any of { mode: 'rank'|'absolute'|'flat', ramp: a key of SEMANTIC_HIGHLIGHT_CONFIG.ramps }
+         */
+        setScoreColoring(options) {
+            scoreColoring = { ...scoreColoring, ...options };
+            needsRender = true;
+            updateTransform();
+        },
+
+        getScoreColoring() {
+            return { ...scoreColoring };
+        },
+
+        /**
+         * Configures the match density overlay
+         * @param {Object} options - Any of { mode: 'off'|'auto'|'always', binSize: 'chapter'|number, metric: 'count'|'rate'|'meanScore' }.
+         *   'auto' shows the overlay only below HEATMAP_CONFIG.autoZoomThreshold.
+         */
+        setHeatmapOptions(options) {
+            heatmapOptions = { ...heatmapOptions, ...options };
+            heatmap = null;
+            needsRender = true;
+            updateTransform();
+            return this.getHeatmapState();
+        },
+
+        /**
+         * Gets the overlay settings, whether it is currently shown and its value range
+         * @returns {{mode, binSize, metric, active: boolean, status: string, message: string, min: number, max: number, binCount: number}}
+         */
+        getHeatmapState() {
+            const { bins, min, max, rampMin, status, message } = getHeatmap();
+            return { ...heatmapOptions, active: isHeatmapActive(), status, message, min, max, rampMin, binCount: bins.length };
+        },
+
+        /**
+         * Replaces the extra highlight layers drawn beneath the main search.
+         * Layers are drawn in order, each in its own color.
+         * @param {Array<{id: string, query: string, color: number, visible: boolean,
+         *   caseSensitive: boolean, wholeWord: boolean, scope: Object}>} layers
+         * @returns {Array<{id: string, status: string, count: number, message?: string}>}
+         */
+        setHighlightLayers(layers) {
+            return setHighlightLayersInternal(layers);
+        },
+
+        /**
+         * Gets the verse index for a canonical reference such as "Alma 32:21", or -1 if not loaded
+         */
+        getVerseIndexForReference(reference) {
+            return verseIndexByReference.get(reference) ?? -1;
+        },
+
+        clearSelection() {
+            selection = null;
+            renderSelection();
+        },
+
+        getVerseReference(verseIndex) {
+            const meta = verseMetaList[verseIndex];
+            if (!meta || meta.kind !== 'verse') return null;
+            return { book: meta.book, chapter: meta.chapter, verse: meta.verse };
+        },
+
+        findVerseIndex(book, chapter, verse) {
+            return findVerseIndex(book, chapter, verse);
+        },
+
+        getVerseMetaList() {
+            return verseMetaList;
+        },
+
+        /**
+         * Highlights every wrapped line from the start verse through the end verse
+         */
+        highlightVerseRange(startVerseIndex, endVerseIndex) {
+            if (verseStartLines[startVerseIndex] === undefined || endVerseIndex < startVerseIndex) {
+                return false;
+            }
+            highlightVerseRangeInternal(startVerseIndex, endVerseIndex);
+            return true;
+        },
+
+        getFocusedVerseIndex() {
+            return focusedVerseIndex;
         },
 
         jumpToVerse(verseIndex) {
             const startLine = verseStartLines[verseIndex];
             if (startLine === undefined) return false;
+            focusedVerseIndex = verseIndex;
             return jumpToLineAndZoom(startLine);
         },
 
         handleResize() {
+            // Fitting columns to the screen re-columns the text when its shape changes
+            if (layoutOptions.columns === 'fit' && getFitColumnCount() !== numColumns) {
+                reflow(() => {});
+                return;
+            }
             const newInitialZoom = viewportManager.calculateInitialZoom(totalWidth, totalHeight);
             if (Math.abs(zoom - initialZoom) < 0.001) {
                 zoom = newInitialZoom;
             }
             initialZoom = newInitialZoom;
-            this.resetView();
+            this.resetView(null, { animate: false });
+        },
+
+        getTextRenderer() {
+            return textRendererKind;
+        },
+
+        /**
+         * Changes the line width and column count without reloading the text,
+         * keeping the verse at the center of the screen in place
+         * @param {Object} options - Any of { lineWidth: characters per line, or null for the
+         *   view's default; columns: a count, 'auto' (VISUALIZATION_CONFIG limits) or 'fit'
+         *   (match the screen's shape, re-columning on resize) }
+         * @returns {Promise<boolean>} - false if a later layout change superseded this one
+         */
+        setLayout(options) {
+            return setLayoutInternal(options);
+        },
+
+        /**
+         * @returns {{lineWidth: number|null, columns: number|string, effectiveLineWidth: number, numColumns: number}}
+         */
+        getLayoutOptions() {
+            return { ...layoutOptions, effectiveLineWidth: config.lineWidth, numColumns };
+        },
+
+        /**
+         * @returns {{family: string, size: number}} - The display font; family is a key of FONT_CONFIG.families
+         */
+        getFont() {
+            return { family: fontFamilyKey, size: fontSize };
+        },
+
+        /**
+         * What the last render drew, for the debug overlay
+         * @returns {Object} - { zoom, level, textRenderer, lines, columns, visibleLines, text, lod, backgrounds, highlights }
+         */
+        getRenderStats() {
+            const visibleRange = viewportManager.getVisibleLineRange(zoom, offsetY);
+            const visibleColumns = viewportManager.getVisibleColumnRange(zoom, offsetX, cachedColumnXPositions, columnWidth);
+            return {
+                zoom,
+                level: TextLodRenderer.getLevel(zoom),
+                textRenderer: textRendererKind,
+                lines: { start: visibleRange.start, end: visibleRange.end, total: maxColumnLength },
+                columns: { start: visibleColumns.start, end: visibleColumns.end, total: numColumns },
+                visibleLines: visibleLines.size,
+                text: textRenderer.getStats(),
+                lod: textLodRenderer.getStats(),
+                backgrounds: bookBackgroundRenderer.getStats(),
+                highlights: highlightRenderer.getStats()
+            };
+        },
+
+        /**
+         * Switches between the 'bitmap' and 'canvas' text renderers
+         */
+        setTextRenderer(kind) {
+            if (kind === textRendererKind) return;
+            textRenderer.destroy();
+            textRendererKind = kind;
+            textRenderer = createTextRenderer(kind);
+            needsRender = true;
+            updateTransform();
         },
 
         destroy() {
+            // Discards a re-wrap still in progress
+            layoutVersion++;
+            camera.destroy();
+            if (lodFrame !== null) {
+                cancelAnimationFrame(lodFrame);
+            }
             textRenderer.destroy();
+            textLodRenderer.destroy();
             bookBackgroundRenderer.destroy();
             highlightRenderer.destroy();
+            highlightLayerRenderer.destroy();
+            heatmapRenderer.destroy();
+            selectionRenderer.destroy();
+            annotationRenderer.destroy();
             
             container.removeChildren();
             if (container.parent) {